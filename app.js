@@ -153,6 +153,7 @@
     n[n.Leave = 17] = "Leave",
     n[n.Start = 18] = "Start",
     n[n.GetLobbies = 19] = "GetLobbies",
+    n[n.Hello = 20] = "Hello",
     n[n.UpdateTarget = 32] = "UpdateTarget",
     n[n.SplitUp = 33] = "SplitUp",
     n[n.RIP = 34] = "RIP",
@@ -160,11 +161,14 @@
     n[n.PlayerUpdate = 36] = "PlayerUpdate",
     n[n.Ping = 37] = "Ping",
     n[n.Input = 38] = "Input",
+    n[n.Ack = 39] = "Ack",
     n[n.SetElements = 48] = "SetElements",
     n[n.PlayerInfo = 49] = "PlayerInfo",
     n[n.LeaderBoard = 50] = "LeaderBoard",
     n[n.TeamInfo = 51] = "TeamInfo",
     n[n.TransientElement = 52] = "TransientElement",
+    n[n.SetElementsDelta = 53] = "SetElementsDelta",
+    n[n.MatchState = 54] = "MatchState",
     n[n.GetStats = 64] = "GetStats",
     n[n.INVALID = 65] = "INVALID"
 }
@@ -359,6 +363,26 @@
     i.d(e, "l", (function() {
         return K
     }
+    )),
+    i.d(e, "n", (function() {
+        return $
+    }
+    )),
+    i.d(e, "o", (function() {
+        return it
+    }
+    )),
+    i.d(e, "p", (function() {
+        return ot
+    }
+    )),
+    i.d(e, "q", (function() {
+        return ht
+    }
+    )),
+    i.d(e, "r", (function() {
+        return _
+    }
     ));
     var r, n = i(3), o = i(1), a = i(5), s = i(8), h = (r = function(t, e) {
         return (r = Object.setPrototypeOf || {
@@ -381,34 +405,12 @@
         t.prototype = null === e ? Object.create(e) : (i.prototype = e.prototype,
         new i)
     }
-    ), l = (u.prototype.parseData = function(t, e) {}
-    ,
-    u.prototype.getData = function() {
-        var t = new ArrayBuffer(1);
-        return new DataView(t).setUint8(0, this.id),
-        t
-    }
-    ,
-    u.parseFloatFromUint32 = function(t, e, i, r) {
-        return void 0 === i && (i = 1),
-        void 0 === r && (r = 0),
-        t.getUint32(e, !0) / 4294967295 * i + r
-    }
-    ,
-    u.parseFloatFromUint8 = function(t, e, i, r) {
-        return void 0 === i && (i = 1),
-        void 0 === r && (r = 0),
-        t.getUint8(e) / 255 * i + r
+    ), l = (u.prototype.parseData = function(t, e) {
+        n.a(this, NarwhaleProtocol.decode(NarwhaleProtocol.DIRECTION.TO_CLIENT, t, e))
     }
     ,
-    u.parseFloatFromUint16 = function(t, e, i, r) {
-        return void 0 === i && (i = 1),
-        void 0 === r && (r = 0),
-        t.getUint16(e, !0) / 65535 * i + r
-    }
-    ,
-    u.parseUintAngle = function(t, e) {
-        return (t.getUint8(e) / 255 * 2 - 1) * Math.PI
+    u.prototype.getData = function() {
+        return NarwhaleProtocol.encode(NarwhaleProtocol.DIRECTION.TO_SERVER, this.id, this).buffer
     }
     ,
     u);
@@ -416,14 +418,6 @@
         this.id = t
     }
     var c, d = (h(p, c = l),
-    p.prototype.getData = function() {
-        var t = new ArrayBuffer(2)
-          , e = new DataView(t);
-        return e.setUint8(0, this.id),
-        e.setUint8(1, this.control),
-        t
-    }
-    ,
     p);
     function p(t) {
         var e = c.call(this, o.a.Input) || this;
@@ -435,12 +429,9 @@
     function y() {
         return f.call(this, o.a.RIP) || this
     }
-    var m, v = function() {}, w = (h(b, m = l),
-    b.prototype.parseData = function(t) {
-        this.leftTeamScore = t.getUint8(1),
-        this.rightTeamScore = t.getUint8(2),
-        this.winTeam = t.getInt8(3),
-        this.isRoundDone = 0 < t.getUint8(4),
+    var m, w = (h(b, m = l),
+    b.prototype.parseData = function(t, e) {
+        m.prototype.parseData.call(this, t, e),
         this.isGameFinished = 0 <= this.winTeam
     }
     ,
@@ -449,47 +440,20 @@
         return m.call(this, o.a.TeamInfo) || this
     }
     var T, S = (h(x, T = l),
-    x.prototype.parseData = function(t) {
-        var e, i = 1, r = t.getUint8(i);
-        i += 1,
-        this.record = new Array;
-        for (var o = 0; o < r; ++o) {
-            var a = new v;
-            a.level = t.getUint8(i),
-            i += 1,
-            i = (e = n.f(t, i))[0],
-            a.name = e[1],
-            this.record.push(a)
-        }
-        for (this.scores = new Array,
-        r = t.getUint8(i),
-        i += 1,
-        o = 0; o < r; ++o)
-            this.scores[o] = t.getUint8(i),
-            i += 1
-    }
-    ,
     x);
     function x() {
         return T.call(this, o.a.LeaderBoard) || this
     }
     var E, I, A, C = (h(k, E = l),
-    k.prototype.getData = function() {
-        var t = new ArrayBuffer(9)
-          , e = new DataView(t);
-        return e.setUint8(0, this.id),
-        e.setFloat32(1, this.x, !0),
-        e.setFloat32(5, this.y, !0),
-        t
-    }
-    ,
     k);
     function k(t, e) {
         var i = E.call(this, o.a.UpdateTarget) || this;
         return i.x = t,
         i.y = e,
+        i.seq = k.nextSeq = k.nextSeq + 1 & 65535,
         i
     }
+    k.nextSeq = 0;
     function R(t, e) {
         var i = I.call(this, o.a.Retreat) || this;
         return i.x = t,
@@ -503,41 +467,8 @@
         i
     }
     h(R, I = l),
-    R.prototype.getData = function() {
-        var t = new ArrayBuffer(9)
-          , e = new DataView(t);
-        return e.setUint8(0, this.id),
-        e.setFloat32(1, this.x, !0),
-        e.setFloat32(5, this.y, !0),
-        t
-    }
-    ,
-    h(_, A = l),
-    _.prototype.getData = function() {
-        var t = new ArrayBuffer(9)
-          , e = new DataView(t);
-        return e.setUint8(0, this.id),
-        e.setFloat32(1, this.x, !0),
-        e.setFloat32(5, this.y, !0),
-        t
-    }
-    ;
+    h(_, A = l);
     var P, D = (h(M, P = l),
-    M.prototype.getData = function() {
-        var t = n.i(this.name)
-          , e = new Uint8Array(1 + t.length + 4 + 4)
-          , i = new DataView(e.buffer);
-        return i.setUint8(0, this.id),
-        i.setUint32(1, this.skincode, !0),
-        i.setUint32(5, this.colorcode, !0),
-        e.set(t, 9),
-        e.buffer
-    }
-    ,
-    M.prototype.parseData = function(t) {
-        this.uid = t.getUint16(1, !0)
-    }
-    ,
     M);
     function M(t, e, i) {
         var r = P.call(this, o.a.Start) || this;
@@ -547,18 +478,6 @@
         r
     }
     var j, N = (h(O, j = l),
-    O.prototype.getData = function() {
-        var t = new ArrayBuffer(5)
-          , e = new DataView(t);
-        return e.setUint8(0, this.id),
-        e.setFloat32(1, this.now, !0),
-        t
-    }
-    ,
-    O.prototype.parseData = function(t) {
-        this.now = t.getFloat32(1, !0)
-    }
-    ,
     O);
     function O(t) {
         var e = j.call(this, o.a.Ping) || this;
@@ -566,14 +485,6 @@
         e
     }
     var L, B = (h(U, L = l),
-    U.prototype.getData = function() {
-        var t = new ArrayBuffer(5)
-          , e = new DataView(t);
-        return e.setUint8(0, this.id),
-        e.setUint32(1, this.lobbyID, !0),
-        t
-    }
-    ,
     U);
     function U(t) {
         var e = L.call(this, o.a.Join) || this;
@@ -581,24 +492,6 @@
         e
     }
     var F, X = (h(G, F = l),
-    G.prototype.getData = function() {
-        if (this.data) {
-            var t = n.i(JSON.stringify(this.data))
-              , e = new Uint8Array(1 + t.length);
-            return e.set([this.id], 0),
-            e.set(t, 1),
-            e.buffer
-        }
-        return F.prototype.getData.call(this)
-    }
-    ,
-    G.prototype.parseData = function(t) {
-        var e = n.f(t, 1)
-          , i = (e[0],
-        e[1]);
-        this.data = JSON.parse(i)
-    }
-    ,
     G);
     function G(t, e) {
         var i = F.call(this, t) || this;
@@ -607,222 +500,71 @@
         i
     }
     var Y, W = (h(H, Y = l),
-    H.prototype.parseData = function(t) {
-        var e = 1;
-        this.level = t.getUint8(e),
-        e += 1;
-        var i = t.getUint8(e);
-        e += 1,
-        this.upgrade = new Array;
-        for (var r = 0; r < i; ++r)
-            this.upgrade.push(t.getUint8(e)),
-            e += 1
-    }
-    ,
     H);
     function H() {
         return Y.call(this, o.a.PlayerInfo) || this
     }
     var V, z = (h(J, V = l),
-    J.prototype.parseData = function(t, e) {
-        var i, r, n = 1;
-        this.time = t.getUint16(n, !0),
-        n += 2;
-        var o = t.getUint8(n);
-        for (n += 1,
-        1 & o && (this.slowFactor = t.getUint8(n),
-        n += 1),
-        2 & o && (this.indicatorX = l.parseFloatFromUint16(t, n, 2 * e.width, -e.width / 2),
-        n += 2,
-        this.indicatorY = l.parseFloatFromUint16(t, n, 2 * e.height, -e.height / 2),
-        n += 2); n < t.byteLength; )
-            n = (i = J.parseElementData(t, n))[0],
-            r = i[1],
-            this.elements.push(r)
-    }
-    ,
-    J.parseElementData = function(t, e) {
-        var i = t.getUint8(e);
-        switch (e += 1,
-        i) {
+    J.prototype.parseData = function(t, e, i) {
+        var r = J.snapshotContext(e, i);
+        this.applyRecord(NarwhaleProtocol.decode(NarwhaleProtocol.DIRECTION.TO_CLIENT, t, r), r, i)
+    }
+    ,
+    J.prototype.applyRecord = function(t, e, i) {
+        this.time = t.time,
+        this.tick = t.tick,
+        1 & t.flags && (this.slowFactor = t.slowFactor),
+        2 & t.flags && (this.indicatorX = t.indicatorX,
+        this.indicatorY = t.indicatorY),
+        4 & t.flags && i && (this.seq = t.seq,
+        this.isStale = !i.storeSnapshot(t.seq, e.capture, this.id === o.a.SetElements));
+        for (var r = 0, c = t.elements; r < c.length; r++) {
+            var d = J.createElement(c[r]);
+            d && this.elements.push(d)
+        }
+    }
+    ,
+    J.snapshotContext = function(t, e) {
+        var i = Object.create(t || null);
+        return e && (i.snapshots = e.snapshots,
+        i.capture = new Map),
+        i
+    }
+    ,
+    J.createElement = function(t) {
+        switch (t.elementType) {
         case s.a.Fish:
-            return this.parseFish(t, e);
+            return this.createFish(t);
         case s.a.Ball:
-            return this.parseBall(t, e);
+            return n.a(new a.c, t);
         case s.a.Attachable:
-            return this.parseAttachable(t, e);
+            return n.a(new a.b, t);
         case s.a.Character:
-            return this.parseCharacter(t, e);
+            return n.a(new a.f, t);
         case s.a.Bomb:
-            return this.parseBomb(t, e);
+            var e = n.a(new a.j, t);
+            return e.anchorx = e.anchory = .625,
+            e.spriteName = "Bomb",
+            e;
         case s.a.Occupiable:
-            return this.parseOccupiable(t, e)
-        }
-    }
-    ,
-    J.parseOccupiable = function(t, e) {
-        var i = new a.h;
-        return i.id = t.getUint32(e, !0),
-        e += 4,
-        i.benefit = t.getUint8(e),
-        e += 1,
-        i.accumSide = this.parseFloatFromUint8(t, e, 2, -1),
-        e += 1,
-        i.curSide = t.getInt8(e),
-        e += 1,
-        i.occupyingSide = t.getInt8(e),
-        [e += 1, i]
-    }
-    ,
-    J.parseAttachable = function(t, e) {
-        var i = new a.b;
-        i.id = t.getUint32(e, !0),
-        e += 4,
-        i.x = t.getFloat32(e, !0),
-        e += 4,
-        i.y = t.getFloat32(e, !0),
-        e += 4;
-        var r = t.getUint16(e, !0);
-        e += 2;
-        var n = this.parseUintAngle(t, e);
-        e += 1;
-        var o = this.parseUintAngle(t, e);
-        return e += 1,
-        i.variation = t.getUint8(e),
-        e += 1,
-        i.type = t.getUint8(e),
-        e += 1,
-        i.size = t.getUint8(e),
-        e += 1,
-        i.rot = o,
-        i.vx = r * Math.cos(n),
-        i.vy = r * Math.sin(n),
-        [e, i]
-    }
-    ,
-    J.parseCharacter = function(t, e) {
-        var i = new a.f;
-        i.id = t.getUint32(e, !0),
-        e += 4,
-        i.x = t.getFloat32(e, !0),
-        e += 4,
-        i.y = t.getFloat32(e, !0),
-        e += 4;
-        var r = t.getUint16(e, !0);
-        e += 2;
-        var n = this.parseUintAngle(t, e);
-        return e += 1,
-        i.vx = r * Math.cos(n),
-        i.vy = r * Math.sin(n),
-        [e, i]
-    }
-    ,
-    J.parseBomb = function(t, e) {
-        var i = new a.j;
-        i.id = t.getUint32(e, !0),
-        e += 4,
-        i.x = t.getFloat32(e, !0),
-        e += 4,
-        i.y = t.getFloat32(e, !0),
-        e += 4;
-        var r = t.getUint16(e, !0);
-        e += 2;
-        var n = this.parseUintAngle(t, e);
-        return e += 1,
-        i.vx = r * Math.cos(n),
-        i.vy = r * Math.sin(n),
-        i.rot = this.parseUintAngle(t, e),
-        e += 1,
-        i.anchorx = i.anchory = .625,
-        i.spriteName = "Bomb",
-        [e, i]
-    }
-    ,
-    J.parseBall = function(t, e) {
-        var i = new a.c;
-        i.id = t.getUint32(e, !0),
-        e += 4,
-        i.x = t.getFloat32(e, !0),
-        e += 4,
-        i.y = t.getFloat32(e, !0),
-        e += 4;
-        var r = t.getUint16(e, !0);
-        e += 2;
-        var n = this.parseUintAngle(t, e);
-        return e += 1,
-        i.vx = r * Math.cos(n),
-        i.vy = r * Math.sin(n),
-        [e, i]
-    }
-    ,
-    J.parseFish = function(t, e) {
-        var i, r = new a.d;
-        r.parts = [],
-        r.id = t.getUint32(e, !0),
-        e += 4;
-        for (var o = r.color = 0; o < 3; ++o)
-            r.color <<= 8,
-            r.color += t.getUint8(e),
-            e += 1;
-        e = (i = n.f(t, e))[0],
-        r.name = i[1],
-        r.size = 36;
-        var s = t.getUint8(e);
-        r.team = 7 & s,
-        r.breakPoint = s >> 3 & 31,
-        e += 1,
-        r.alpha = t.getUint8(e) / 255,
-        e += 1;
-        var h = t.getUint8(e);
-        e += 1,
-        r.maxDash = 15 & h,
-        r.curDash = h >> 4 & 15,
-        r.overDash = t.getUint8(e) / 255,
-        e += 1,
-        r.tuskRatio = t.getUint8(e) / 255 * 2,
-        e += 1,
-        r.decoration = t.getUint8(e),
-        e += 1;
-        var l = t.getFloat32(e, !0);
-        e += 4;
-        var u = t.getFloat32(e, !0);
-        e += 4;
-        var c = t.getUint16(e, !0);
-        e += 2;
-        var d = this.parseUintAngle(t, e);
-        e += 1;
-        var p = c * Math.cos(d)
-          , f = c * Math.sin(d)
-          , g = this.parseUintAngle(t, e);
-        e += 1;
-        var y = new a.e;
-        y.x = l,
-        y.y = u,
-        y.vx = p,
-        y.vy = f,
-        y.rot = g,
-        r.parts.push(y),
-        r.setSkinCode(t.getUint8(e)),
-        e += 1,
-        r.invincibleDur = t.getUint8(e) / 255 * 2,
-        e += 1;
-        var m = t.getUint8(e);
-        for (e += 1,
-        o = 1; o < m + 1; ++o) {
-            var v = new a.e;
-            o != r.breakPoint ? (v.oriRot = v.rot = this.parseUintAngle(t, e),
-            e += 1,
-            v.vt = 0) : (v.x = t.getFloat32(e, !0),
-            e += 4,
-            v.y = t.getFloat32(e, !0),
-            e += 4,
-            v.vx = t.getFloat32(e, !0),
-            e += 4,
-            v.vy = t.getFloat32(e, !0),
-            e += 4),
-            r.parts.push(v)
-        }
-        return [e, r]
+            return n.a(new a.h, t);
+        case s.a.Food:
+            return n.a(new a.l, t)
+        }
+    }
+    ,
+    J.createFish = function(t) {
+        var e = n.a(new a.d, t);
+        e.size = 36,
+        e.parts = [];
+        for (var i = 0; i < t.parts.length; ++i) {
+            var r = n.a(new a.e, t.parts[i]);
+            0 < i && i != t.breakPoint && (r.oriRot = r.rot,
+            r.vt = 0),
+            e.parts.push(r)
+        }
+        return e.setSkinCode(t.skin),
+        e
     }
     ,
     J);
@@ -833,19 +575,59 @@
         t.indicatorX = 0,
         t.indicatorY = 0,
         t.time = 0,
+        t.tick = 0,
+        t.seq = void 0,
+        t.isStale = !1,
         t
     }
     var q, K = (h(Q, q = l),
-    Q.prototype.parseData = function(t, e) {
-        this.type = t.getUint8(1),
-        this.x = l.parseFloatFromUint16(t, 2, 2 * e.width, -e.width / 2),
-        this.y = l.parseFloatFromUint16(t, 4, 2 * e.height, -e.height / 2)
-    }
-    ,
     Q);
     function Q() {
         return q.call(this, o.a.TransientElement) || this
     }
+    var Z, $ = (h(tt, Z = l),
+    tt);
+    function tt() {
+        var t = Z.call(this, o.a.Hello) || this;
+        return t.version = NarwhaleProtocol.PROTOCOL_VERSION,
+        t.capabilities = NarwhaleProtocol.CAPABILITIES.FOOD | NarwhaleProtocol.CAPABILITIES.DELTA,
+        t
+    }
+    var et, it = (h(rt, et = l),
+    rt);
+    function rt() {
+        var t = et.call(this, o.a.INVALID) || this;
+        return t.code = 0,
+        t.reason = "",
+        t
+    }
+    var nt, ot = (h(at, nt = l),
+    at);
+    function at(t, e) {
+        var i = nt.call(this, o.a.Ack) || this;
+        return i.seq = t,
+        i.resync = e,
+        i
+    }
+    var st, ht = (h(lt, st = z),
+    lt.prototype.parseData = function(t, e, i) {
+        var r = z.snapshotContext(e, i);
+        try {
+            this.applyRecord(NarwhaleProtocol.decode(NarwhaleProtocol.DIRECTION.TO_CLIENT, t, r), r, i)
+        } catch (n) {
+            console.warn("Dropping delta snapshot:", n.message),
+            this.isStale = !0,
+            this.needsResync = !0
+        }
+    }
+    ,
+    lt);
+    function lt() {
+        var t = st.call(this) || this;
+        return t.id = o.a.SetElementsDelta,
+        t.needsResync = !1,
+        t
+    }
 }
 , function(t, e, i) {
     "use strict";
@@ -892,6 +674,10 @@
     i.d(e, "d", (function() {
         return H
     }
+    )),
+    i.d(e, "l", (function() {
+        return K
+    }
     ));
     var r, n = i(3), o = i(6), a = i(7), s = i(0), h = (r = function(t, e) {
         return (r = Object.setPrototypeOf || {
@@ -1351,6 +1137,81 @@
         t.slowCounter = 0,
         t
     }
+    var q, K = (h(Q, q = l),
+    Object.defineProperty(Q.prototype, "targetScale", {
+        get: function() {
+            return this.size / 8 * (1 + .08 * Math.sin(4 * this.pulse + this.phase))
+        },
+        enumerable: !1,
+        configurable: !0
+    }),
+    Q.prototype.update = function(t) {}
+    ,
+    Q.prototype.render = function(t, e, i, r) {
+        this.sprite || (this.sprite = e.popSprite(),
+        this.sprite.anchor.set(.5, .5),
+        t.worldElemBackMost.addChild(this.sprite)),
+        this.pulse += r || 0,
+        this.currentScale = s.g(this.currentScale, this.eater ? 0 : this.targetScale, .2, r || i.meanDt),
+        this.sprite.texture = i.textureMan.foodTexture,
+        this.sprite.tint = this.color,
+        this.sprite.alpha = this.removed ? 1 - this.fadeTime / Q.fadeDuration : 1,
+        this.sprite.setTransform(this.x, this.y, this.currentScale, this.currentScale)
+    }
+    ,
+    Q.prototype.tryEndRender = function(t, e, i, r) {
+        if (!this.sprite)
+            return !0;
+        this.removed || (this.removed = !0,
+        this.eater = Q.findEater(this, i)),
+        this.fadeTime += r || Q.fadeDuration;
+        var n = this.eater && this.eater.parts[0];
+        return n && (this.x = s.a(this.x, n.x, .3),
+        this.y = s.a(this.y, n.y, .3)),
+        !(this.fadeTime < Q.fadeDuration) && (e.recycleElement(this.sprite),
+        this.eater = void 0,
+        !(this.sprite = void 0))
+    }
+    ,
+    Q.prototype.smoothFrom = function(t, e) {
+        this.phase = t.phase
+    }
+    ,
+    Q.prototype.refreshFrom = function(t, e, i, r) {
+        t && (this.color = t.color,
+        this.size = t.size,
+        this.value = t.value,
+        q.prototype.posRatioTo.call(this, t.x, t.y, i, r.meanDt))
+    }
+    ,
+    Q.findEater = function(t, e) {
+        var i, r = 1 / 0;
+        for (var n in e.elements) {
+            var o = e.elements[n];
+            if (o instanceof H && o.parts.length) {
+                var a = s.f(o.parts[0].x - t.x, o.parts[0].y - t.y);
+                a < o.size / 2 + t.size + Q.eatSlack && a < r && (r = a,
+                i = o)
+            }
+        }
+        return i
+    }
+    ,
+    Q.fadeDuration = .25,
+    Q.eatSlack = 48,
+    Q);
+    function Q() {
+        var t = null !== q && q.apply(this, arguments) || this;
+        return t.color = 16777215,
+        t.size = 4,
+        t.value = 1,
+        t.currentScale = .001,
+        t.pulse = 0,
+        t.phase = Math.random() * Math.PI * 2,
+        t.removed = !1,
+        t.fadeTime = 0,
+        t
+    }
     var G = (Y.prototype.update = function(t) {}
     ,
     Y.prototype.tryEndRender = function(t, e, i, r) {
@@ -1830,6 +1691,7 @@
     n[n.Character = 3] = "Character",
     n[n.Bomb = 4] = "Bomb",
     n[n.Occupiable = 5] = "Occupiable",
+    n[n.Food = 6] = "Food",
     n[n.Invalid = 255] = "Invalid",
     (a = o = o || {})[a.SmokeExplosion = 0] = "SmokeExplosion",
     a[a.Invalid = 255] = "Invalid"
@@ -4875,7 +4737,8 @@
         defaultHeight: 995,
         defaultJoySplitRatio: 1.2,
         loginTimeout: 90,
-        serverUpdatePeriodInSecs: 60
+        serverUpdatePeriodInSecs: 60,
+        snapshotReorderWindow: 60
     }
       , T = function() {
         function t(t) {
@@ -4890,6 +4753,8 @@
             this.controlMode = v.Drag,
             this.useTest = !1,
             this.lastTargetUpdateTime = 0,
+            this.matchTimer = null,
+            this.matchNotice = null,
             this.loginAccumTime = 0,
             this.shrinkRatio = 1,
             this.extraShrinkRatio = 1,
@@ -4897,6 +4762,7 @@
             this.rtt = .2,
             this.lastSetElementRealTime = 0,
             this.lastSetElementTime = 0,
+            this.lastSetElementTick = -1,
             this.isDead = !0,
             this.throtling = 0,
             this.meanThrotling = 0,
@@ -5095,11 +4961,38 @@
                     var r = e[i]
                       , n = new o.a(r,new h.a);
                     (this.allNets[r] = n).area = t,
-                    n.tag = i
+                    n.tag = i,
+                    n.on(l.a.INVALID, this.handleInvalid.bind(this))
                 }
             }
         }
         ,
+        t.prototype.handleInvalid = function(t, e) {
+            console.error("Connection to " + e.uri + " rejected:", t.reason),
+            e.rejected = !0;
+            for (var i in this.rooms)
+                this.rooms[i].net === e && delete this.rooms[i];
+            for (var r in this.allNets)
+                if (!this.allNets[r].rejected)
+                    return this.refreshRooms(),
+                    void (e === this.net && (this.lastRoom = void 0,
+                    this.lastRoomIsBest = !1,
+                    Object.keys(this.rooms).length && this.join(this.chooseBestRoom()[0])));
+            this.responseReceived = !0,
+            this.doAutoLogin = !1,
+            i = document.createElement("option");
+            i.disabled = i.selected = !0,
+            i.innerText = t.reason,
+            this.roomsText.innerHTML = "",
+            this.roomsText.appendChild(i),
+            this.roomsText.disabled = !0,
+            this.startButton.innerHTML = "Unavailable",
+            this.startButton.disabled = !0,
+            this.centerNotifier.style.display = "block",
+            this.centerNotifier.style.color = "white",
+            this.centerNotifier.innerText = t.reason
+        }
+        ,
         t.prototype.queryServer = function() {
             function t(t) {
                 t.emit(l.a.GetLobbies),
@@ -5141,6 +5034,42 @@
             ), 750)
         }
         ,
+        t.prototype.showMatchState = function(t) {
+            var e = this, i, r;
+            this.matchTimer && (clearInterval(this.matchTimer),
+            this.matchTimer = null,
+            this.hideMatchNotice()),
+            t && (i = window.performance.now() + 1e3 * t.remaining,
+            r = function() {
+                var r, n = Math.max(0, Math.ceil((i - window.performance.now()) / 1e3));
+                switch (t.state) {
+                case 0:
+                    r = 0 < t.remaining ? "Round starts in " + n : "Waiting for players";
+                    break;
+                case 1:
+                    r = n <= 10 && 0 < n ? n.toString() : null;
+                    break;
+                case 2:
+                    r = 0 <= t.winTeam ? (0 === t.winTeam ? "Orange" : "Blue") + " Team Wins!" : t.winner ? t.winner + " wins the round!" : "Round over";
+                    break;
+                case 3:
+                    r = "Next round in " + n
+                }
+                null === r ? e.hideMatchNotice() : (e.centerNotifier.style.display = "block",
+                e.centerNotifier.style.color = "white",
+                e.centerNotifier.innerText = r,
+                e.matchNotice = e.centerNotifier.innerText)
+            }
+            ,
+            r(),
+            this.matchTimer = mySetInterval(r, 250))
+        }
+        ,
+        t.prototype.hideMatchNotice = function() {
+            null !== this.matchNotice && this.centerNotifier.innerText === this.matchNotice && (this.centerNotifier.style.display = "none"),
+            this.matchNotice = null
+        }
+        ,
         t.prototype.refreshAd = function() {
             try {
                 window.lngtd && window.lngtd.resetAndRunAuction()
@@ -5148,7 +5077,7 @@
         }
         ,
         t.prototype.setupNetEvent = function(t) {
-            var e = this;
+            var e = this, i;
             t.on(l.a.TeamInfo, (function(t) {
                 var i, r, n, o;
                 t.isGameFinished && (r = (i = t.leftTeamScore > t.rightTeamScore) ? "black" : "white",
@@ -5199,10 +5128,10 @@
             )),
             t.on(l.a.PlayerInfo, (function(t) {
                 e.nowlevel = t.level,
-                mySetTimeout((function() {
+                t.upgrade.length ? mySetTimeout((function() {
                     e.handleLevelUp(500, t.upgrade, 0)
                 }
-                ), 50)
+                ), 50) : e.lvnum.innerText = t.level.toString()
             }
             )),
             t.on(l.a.Ping, (function(i) {
@@ -5262,8 +5191,15 @@
                 i.y = t.y)
             }
             )),
-            t.on(l.a.SetElements, (function(t) {
+            t.on(l.a.SetElements, i = function(t) {
+                if (t.isStale)
+                    return void (t.needsResync && e.net.emit(new y.p(0,!0)));
+                var c = e.lastSetElementTick - t.tick;
+                if (void 0 !== t.seq && e.net.emit(new y.p(t.seq,!1)),
                 e.net.immediateResponse = !1,
+                0 <= c && c < e.options.snapshotReorderWindow)
+                    return;
+                e.lastSetElementTick = t.tick,
                 e.timeSlowFactor = t.slowFactor;
                 var i = window.performance.now();
                 for (e.hasJoined = !0; t.time - e.lastSetElementTime < 0; )
@@ -5286,6 +5222,15 @@
                 }
                 e.serverElements = o
             }
+            ),
+            t.on(l.a.SetElementsDelta, i),
+            t.on(l.a.GetStats, (function(t) {
+                e.renderStats(t.stats)
+            }
+            )),
+            t.on(l.a.MatchState, (function(t) {
+                e.showMatchState(t)
+            }
             ))
         }
         ,
@@ -5369,6 +5314,11 @@
             0))
         }
         ,
+        t.prototype.trySplitUp = function() {
+            return !(this.spawnbox.offsetParent || this.isDead || !this.net || !this.net.isReady || (this.net.emit(new y.r(this.target.x,this.target.y)),
+            0))
+        }
+        ,
         t.prototype.tryDash = function() {
             return !(this.spawnbox.offsetParent || this.isDead || !this.dashable || (this.dragTutorialDecay = .05,
             this.SetKeyPress(g.a.MouseLeft),
@@ -5746,8 +5696,43 @@
             confirm("Do you want to refresh the game?") && window.location.reload()
         }
         ,
+        t.prototype.toggleStats = function() {
+            var t = this;
+            if (this.statsTimer)
+                return clearInterval(this.statsTimer),
+                this.statsTimer = void 0,
+                void (this.statsOverlay.style.display = "none");
+            this.statsOverlay.innerText = "Waiting for server stats...",
+            this.statsOverlay.style.display = "block";
+            var e = function() {
+                t.net && t.net.isReady && t.net.emit(l.a.GetStats)
+            };
+            e(),
+            this.statsTimer = mySetInterval(e, 1e3)
+        }
+        ,
+        t.prototype.renderStats = function(t) {
+            if (this.statsTimer) {
+                var e = this.rooms[this.lastRoom]
+                  , i = function(t) {
+                    return (t / 1024).toFixed(1) + " KiB/s"
+                }
+                  , r = ["up " + Math.floor(t.uptime / 60) + "m" + t.uptime % 60 + "s   sockets " + t.sockets + "   out " + i(t.bytesPerSecond), "tick " + t.tickAvg.toFixed(2) + " ms avg / " + t.tickWorst.toFixed(2) + " ms worst @ " + t.tickRate.toFixed(1) + " ticks/s", ""];
+                r.push("  room            players  fish  food other   tick avg/worst        out");
+                for (var n = 0, o = t.rooms; n < o.length; n++) {
+                    var a = o[n]
+                      , s = 0;
+                    for (var h in a.entities)
+                        "fish" !== h && "food" !== h && (s += a.entities[h]);
+                    r.push((e && e.id === a.id ? "> " : "  ") + (a.name + "                ").slice(0, 16) + ("     " + a.players).slice(-7) + ("     " + a.entities.fish).slice(-6) + ("     " + a.entities.food).slice(-6) + ("     " + s).slice(-6) + ("          " + a.tickAvg.toFixed(2) + "/" + a.tickWorst.toFixed(2)).slice(-17) + ("            " + i(a.bytesPerSecond)).slice(-13))
+                }
+                this.statsOverlay.innerText = r.join("\n")
+            }
+        }
+        ,
         t.prototype.assignElements = function() {
             this.centerNotifier = document.getElementById("centerNotifier"),
+            this.statsOverlay = document.getElementById("statsOverlay"),
             this.fullscreenDisplayer = document.getElementById("fullscreenDisplayer"),
             this.leftTeamScore = document.getElementById("leftscore"),
             this.rightTeamScore = document.getElementById("rightscore"),
@@ -5801,6 +5786,8 @@
             }
             ,
             window.addEventListener("keydown", (function(e) {
+                192 === e.keyCode && "INPUT" !== e.target.tagName && t.toggleStats(),
+                69 !== e.keyCode || e.repeat || "INPUT" === e.target.tagName || t.trySplitUp(),
                 t.scene.onKeyDown(e.keyCode)
             }
             )),
@@ -5812,7 +5799,7 @@
         ,
         t.prototype.onFieldOptionUpdate = function(t) {
             this.gameConfig = t,
-            this.gameConfig.currentTilemap = "tileMap.tmx",
+            this.gameConfig.currentTilemap = t.tilemap || "tileMap.tmx",
             this.scene && this.scene.end(),
             this.scene = c.a(this.gameConfig.fieldType, this),
             this.scene.initialize(),
@@ -5828,6 +5815,7 @@
                     return;
                 this.net.isReady && this.net.emit(l.a.Leave)
             }
+            this.showMatchState(null),
             this.onFieldOptionUpdate(this.rooms[t].options),
             this.net != this.rooms[t].net && (this.net && this.net.close(),
             this.net = this.rooms[t].net,
@@ -5835,6 +5823,8 @@
             this.net.setOption(this.rooms[t].options),
             this.net.isClosed && this.net.open(),
             this.net.doWhenConnected((function(i) {
+                i.resetSnapshots(),
+                e.lastSetElementTick = -1,
                 i.emit(new y.b(e.rooms[t].id)),
                 i.emit(new y.f(window.performance.now()))
             }
@@ -5879,7 +5869,8 @@
             this.area = void 0,
             this.changeArea(t),
             this.loginAccumTime = 0,
-            this.hasJoined = !1
+            this.hasJoined = !1,
+            this.lastSetElementTick = -1
         }
         ,
         t.prototype.tryStart2 = function(t) {
@@ -6315,6 +6306,7 @@
     }
     ));
     var r = i(4)
+      , s = i(1)
       , n = (o.prototype.setOption = function(t) {
         this.option = t
     }
@@ -6326,10 +6318,24 @@
     o.prototype.decode = function(t) {
         var e = new DataView(t)
           , i = this.factory.create(e.getUint8(0));
-        return i.parseData(e, this.option),
+        return i.parseData(e, this.option, this),
         i
     }
     ,
+    o.prototype.resetSnapshots = function() {
+        this.snapshots = new Map,
+        this.lastSnapshotSeq = -1
+    }
+    ,
+    o.prototype.storeSnapshot = function(t, e, i) {
+        if (!i && 0 <= this.lastSnapshotSeq && !NarwhaleProtocol.isNewerSeq(t, this.lastSnapshotSeq))
+            return !1;
+        for (this.snapshots.set(t, e),
+        this.lastSnapshotSeq = t; this.snapshots.size > o.snapshotHistory; )
+            this.snapshots.delete(this.snapshots.keys().next().value);
+        return !0
+    }
+    ,
     o.prototype.close = function() {
         this.isClosed || (this.ws.onclose(void 0),
         this.ws.onclose = function() {}
@@ -6343,11 +6349,13 @@
     ,
     o.prototype.open = function() {
         var t = this;
-        this.isReady || this.isClosed && (this.isClosed = !1,
+        this.isReady || this.isClosed && !this.rejected && (this.isClosed = !1,
+        this.resetSnapshots(),
         this.ws = new WebSocket(this.uri),
         this.ws.binaryType = "arraybuffer",
         this.ws.onopen = function() {
             t.isReady = !0,
+            t.emit(new r.n),
             t.onConnect && t.onConnect(t)
         }
         ,
@@ -6381,6 +6389,15 @@
         }
     }
     ,
+    o.prototype.reject = function(t, e) {
+        var i = new r.o;
+        i.code = t,
+        i.reason = e,
+        this.callbacks[s.a.INVALID] && this.callbacks[s.a.INVALID](i, this),
+        this.rejected = !0,
+        this.close()
+    }
+    ,
     o.prototype.on = function(t, e) {
         this.callbacks[t] = e
     }
@@ -6390,11 +6407,19 @@
         this.ws.send(e.getData())
     }
     ,
+    o.snapshotHistory = 64,
     o);
     function o(t, e) {
+        var i = this;
         this.uri = t,
         this.factory = e,
         this.callbacks = {},
+        this.callbacks[s.a.Hello] = function(t) {
+            t.version !== NarwhaleProtocol.PROTOCOL_VERSION && i.reject(NarwhaleProtocol.INVALID_REASONS.VERSION_MISMATCH, "Server speaks protocol version " + t.version + ", this page " + NarwhaleProtocol.PROTOCOL_VERSION + ". Please reload the page.")
+        }
+        ,
+        this.rejected = !1,
+        this.resetSnapshots(),
         this.isReady = !1,
         this.isClosed = !0,
         this.throtling = 0,
@@ -6608,6 +6633,26 @@
             return new n.l
         }
         ,
+        t[r.a.SetElementsDelta] = function() {
+            return new n.q
+        }
+        ,
+        t[r.a.Hello] = function() {
+            return new n.n
+        }
+        ,
+        t[r.a.INVALID] = function() {
+            return new n.o
+        }
+        ,
+        t[r.a.GetStats] = function() {
+            return new n.c(r.a.GetStats)
+        }
+        ,
+        t[r.a.MatchState] = function() {
+            return new n.c(r.a.MatchState)
+        }
+        ,
         t)
     }
 }
@@ -6733,6 +6778,11 @@
         t.drawCircle(3, 43, 2.8),
         t.endFill(),
         this.eyeTexture = this.renderer.generateTexture(t),
+        t.clear(),
+        t.beginFill(16777215),
+        t.drawCircle(8, 8, 8),
+        t.endFill(),
+        this.foodTexture = this.renderer.generateTexture(t),
         t.destroy()
     }
     ,
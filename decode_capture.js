@@ -0,0 +1,196 @@
+// ==================== DECODIFICADOR DE CAPTURAS ====================
+// Convierte una grabación de websocket_test.js (NARWHALE_RECORD=captura.jsonl)
+// en JSON legible, con los mismos formatos de protocol.js que usan el servidor
+// y el cliente. Una línea por trama:
+//
+//   node decode_capture.js captura.jsonl [--opcode SetElements,37] [--player 12]
+//        [--conn 3] [--dir in|out] [--from 10] [--to 20.5] [--pretty]
+//
+// --from / --to van en segundos desde el inicio de la captura. Los snapshots
+// delta se reconstruyen como en el cliente, así que se decodifican todos los
+// de la conexión aunque el filtro no los muestre.
+const fs = require('fs');
+const readline = require('readline');
+const Protocol = require('./protocol');
+
+const { OPCODES, DIRECTION, PACKET_SCHEMA } = Protocol;
+
+// Como CONFIG.snapshotHistory en el servidor
+const SNAPSHOT_HISTORY = 64;
+
+const SNAPSHOT_OPCODES = new Set([OPCODES.SET_ELEMENTS, OPCODES.SET_ELEMENTS_DELTA]);
+
+// "SetElements", "SET_ELEMENTS" o "48" → 48
+function parseOpcode(value) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const wanted = value.toLowerCase().replace(/_/g, '');
+  for (const opcode in PACKET_SCHEMA) {
+    if (PACKET_SCHEMA[opcode].name.toLowerCase().replace(/_/g, '') === wanted) return Number(opcode);
+  }
+  throw new Error(`Opcode desconocido: ${value}`);
+}
+
+function parseArgs(argv) {
+  const options = { file: null, filters: {}, pretty: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Falta el valor de ${arg}`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--opcode':
+        options.filters.opcodes = new Set(next().split(',').map(parseOpcode));
+        break;
+      case '--player':
+        options.filters.player = Number(next());
+        break;
+      case '--conn':
+        options.filters.conn = Number(next());
+        break;
+      case '--dir':
+        options.filters.dir = next();
+        if (options.filters.dir !== 'in' && options.filters.dir !== 'out') {
+          throw new Error('--dir admite in u out');
+        }
+        break;
+      case '--from':
+        options.filters.from = Number(next());
+        break;
+      case '--to':
+        options.filters.to = Number(next());
+        break;
+      case '--pretty':
+        options.pretty = true;
+        break;
+      default:
+        if (arg.startsWith('--') || options.file) throw new Error(`Argumento no reconocido: ${arg}`);
+        options.file = arg;
+    }
+  }
+  if (!options.file) throw new Error('Uso: node decode_capture.js captura.jsonl [filtros]');
+  return options;
+}
+
+class CaptureDecoder {
+  constructor(filters = {}) {
+    this.filters = filters;
+    this.rooms = {};
+    this.connections = new Map();
+    this.startTime = null;
+  }
+
+  connection(id) {
+    let state = this.connections.get(id);
+    if (!state) this.connections.set(id, state = { snapshots: new Map() });
+    return state;
+  }
+
+  // Procesa un evento de la captura y devuelve la trama decodificada si pasa
+  // los filtros, o null
+  push(event) {
+    if (this.startTime === null) this.startTime = event.t;
+
+    switch (event.type) {
+      case 'start':
+        this.rooms = event.rooms || {};
+        if (event.version !== Protocol.PROTOCOL_VERSION) {
+          console.error(`Aviso: captura con protocolo ${event.version}, protocol.js es ${Protocol.PROTOCOL_VERSION}`);
+        }
+        return null;
+      case 'close':
+        this.connections.delete(event.conn);
+        return null;
+      case 'frame':
+        return this.frame(event);
+      default:
+        return null;
+    }
+  }
+
+  frame(event) {
+    const { filters } = this;
+    if (filters.conn !== undefined && event.conn !== filters.conn) return null;
+    if (filters.player !== undefined && event.player !== filters.player) return null;
+
+    const bytes = Buffer.from(event.data, 'base64');
+    const opcode = bytes[0];
+    const t = (event.t - this.startTime) / 1000;
+    const visible = (!filters.opcodes || filters.opcodes.has(opcode)) &&
+      (!filters.dir || event.dir === filters.dir) &&
+      (filters.from === undefined || t >= filters.from) &&
+      (filters.to === undefined || t <= filters.to);
+
+    // Los snapshots se decodifican siempre para tener las líneas base de los deltas
+    const snapshot = event.dir === 'out' && SNAPSHOT_OPCODES.has(opcode);
+    if (!visible && !snapshot) return null;
+
+    const result = {
+      t,
+      conn: event.conn,
+      player: event.player,
+      room: event.room,
+      dir: event.dir,
+      packet: PACKET_SCHEMA[opcode] ? PACKET_SCHEMA[opcode].name : null
+    };
+
+    try {
+      Object.assign(result, snapshot ? this.decodeSnapshot(event, bytes) : this.decode(event, bytes));
+    } catch (error) {
+      Object.assign(result, { opcode, error: error.message, bytes: bytes.toString('hex') });
+    }
+    return visible ? result : null;
+  }
+
+  options(event) {
+    return this.rooms[event.room];
+  }
+
+  decode(event, bytes) {
+    const direction = event.dir === 'in' ? DIRECTION.TO_SERVER : DIRECTION.TO_CLIENT;
+    return Protocol.decode(direction, bytes, this.options(event));
+  }
+
+  // Como Net.storeSnapshot en el cliente: la captura queda guardada por seq
+  decodeSnapshot(event, bytes) {
+    const state = this.connection(event.conn);
+    const ctx = Object.create(this.options(event) || null);
+    ctx.snapshots = state.snapshots;
+    ctx.capture = new Map();
+
+    const record = Protocol.decode(DIRECTION.TO_CLIENT, bytes, ctx);
+    if (record.seq !== undefined) {
+      state.snapshots.delete(record.seq);
+      state.snapshots.set(record.seq, ctx.capture);
+      while (state.snapshots.size > SNAPSHOT_HISTORY) {
+        state.snapshots.delete(state.snapshots.keys().next().value);
+      }
+    }
+    return record;
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const decoder = new CaptureDecoder(options.filters);
+  const lines = readline.createInterface({ input: fs.createReadStream(options.file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const result = decoder.push(JSON.parse(line));
+    if (result) console.log(JSON.stringify(result, null, options.pretty ? 2 : 0));
+  }
+}
+
+if (require.main === module) {
+  // Cortar la salida (| head) no es un error
+  process.stdout.on('error', error => {
+    if (error.code === 'EPIPE') process.exit(0);
+    throw error;
+  });
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { CaptureDecoder, parseArgs, parseOpcode };
@@ -0,0 +1,917 @@
+// ==================== ESQUEMA DEL PROTOCOLO ====================
+// Fuente única del formato binario. websocket_test.js lo carga con require() y
+// el cliente con <script>, donde queda expuesto como window.NarwhaleProtocol.
+// Cada opcode declara sus campos por dirección (toServer / toClient) y tanto el
+// codificador como el decodificador se generan a partir de esas listas.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.NarwhaleProtocol = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ==================== OPCODES ====================
+  const OPCODES = {
+    // Cliente → Servidor
+    JOIN: 16,
+    LEAVE: 17,
+    START: 18,
+    GET_LOBBIES: 19,
+    HELLO: 20,
+    UPDATE_TARGET: 32,
+    SPLIT_UP: 33,
+    RIP: 34,
+    RETREAT: 35,
+    PLAYER_UPDATE: 36,
+    PING: 37,
+    INPUT: 38,
+    ACK: 39,
+
+    // Servidor → Cliente
+    SET_ELEMENTS: 48,
+    PLAYER_INFO: 49,
+    LEADER_BOARD: 50,
+    TEAM_INFO: 51,
+    TRANSIENT_ELEMENT: 52,
+    SET_ELEMENTS_DELTA: 53,
+    MATCH_STATE: 54,
+    GET_STATS: 64, // el cliente lo pide vacío
+    INVALID: 65
+  };
+
+  // ==================== HANDSHAKE ====================
+  // Subir PROTOCOL_VERSION con cada cambio incompatible de este archivo
+  const PROTOCOL_VERSION = 7;
+
+  // Bits de capacidades declaradas en HELLO
+  const CAPABILITIES = {
+    FOOD: 1 << 0,
+    DELTA: 1 << 1
+  };
+
+  // Código que acompaña a INVALID
+  const INVALID_REASONS = {
+    VERSION_MISMATCH: 1,
+    MISSING_CAPABILITIES: 2,
+    HANDSHAKE_REQUIRED: 3,
+    MALFORMED_HELLO: 4
+  };
+
+  // ==================== TIPOS DE ELEMENTOS ====================
+  const ELEMENT_TYPES = {
+    FISH: 0,
+    BALL: 1,
+    ATTACHABLE: 2,
+    CHARACTER: 3,
+    BOMB: 4,
+    OCCUPIABLE: 5,
+    FOOD: 6
+  };
+
+  const TRANSIENT_TYPES = {
+    SMOKE_EXPLOSION: 0
+  };
+
+  // Fases del ciclo de partida de las salas con match (MATCH_STATE)
+  const MATCH_STATES = {
+    WARMUP: 0,
+    ROUND: 1,
+    ROUND_END: 2,
+    INTERMISSION: 3
+  };
+
+  // Bits del campo decoration de FISH. El cliente sólo dibuja CROWN (la corona
+  // crown2 sobre la cabeza); los demás viajan para quien quiera mostrarlos.
+  const DECORATIONS = {
+    CROWN: 1 << 0,       // quien más puntos tiene en la sala
+    KILL_STREAK: 1 << 1, // lleva killStreak muertes sin morir
+    CAPTAIN: 1 << 2      // quien más puntos tiene en su equipo
+  };
+
+  // Bits del campo control de INPUT (enum de teclas del cliente)
+  const CONTROLS = {
+    UP: 1 << 0,
+    DOWN: 1 << 1,
+    LEFT: 1 << 2,
+    RIGHT: 1 << 3,
+    DASH: 1 << 4,   // MouseLeft
+    RETREAT: 1 << 5 // MouseRight
+  };
+
+  const DIRECTION = {
+    TO_SERVER: 'toServer',
+    TO_CLIENT: 'toClient'
+  };
+
+  // ==================== UTILIDADES ====================
+  function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  }
+
+  function wrapAngle(angle) {
+    const full = Math.PI * 2;
+    angle %= full;
+    if (angle > Math.PI) angle -= full;
+    else if (angle < -Math.PI) angle += full;
+    return angle;
+  }
+
+  // Los parámetros de un campo pueden depender del contexto (opciones de sala)
+  function resolve(param, ctx) {
+    return typeof param === 'function' ? param(ctx || {}) : param;
+  }
+
+  function toDataView(data) {
+    if (data instanceof DataView) return data;
+    if (ArrayBuffer.isView(data)) return new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return new DataView(data);
+  }
+
+  // Las cadenas viajan como los bytes de encodeURIComponent terminados en 0,
+  // que es como el cliente siempre las ha escrito y leído.
+  function stringToBytes(str) {
+    const encoded = encodeURIComponent(String(str));
+    const bytes = new Array(encoded.length);
+    for (let i = 0; i < encoded.length; i++) bytes[i] = encoded.charCodeAt(i);
+    return bytes;
+  }
+
+  function bytesToString(bytes) {
+    const raw = String.fromCharCode.apply(String, bytes);
+    try {
+      return decodeURIComponent(raw);
+    } catch (error) {
+      return raw;
+    }
+  }
+
+  // ==================== ESCRITOR / LECTOR ====================
+  class Writer {
+    constructor(size = 64) {
+      this.bytes = new Uint8Array(size);
+      this.view = new DataView(this.bytes.buffer);
+      this.offset = 0;
+    }
+
+    ensure(length) {
+      if (this.offset + length <= this.bytes.length) return;
+
+      let size = this.bytes.length * 2;
+      while (size < this.offset + length) size *= 2;
+
+      const bytes = new Uint8Array(size);
+      bytes.set(this.bytes);
+      this.bytes = bytes;
+      this.view = new DataView(bytes.buffer);
+    }
+
+    u8(value) { this.ensure(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+    i8(value) { this.ensure(1); this.view.setInt8(this.offset, value); this.offset += 1; }
+    u16(value) { this.ensure(2); this.view.setUint16(this.offset, value, true); this.offset += 2; }
+    u32(value) { this.ensure(4); this.view.setUint32(this.offset, value, true); this.offset += 4; }
+    f32(value) { this.ensure(4); this.view.setFloat32(this.offset, +value || 0, true); this.offset += 4; }
+
+    raw(bytes) {
+      this.ensure(bytes.length);
+      this.bytes.set(bytes, this.offset);
+      this.offset += bytes.length;
+    }
+
+    finish() {
+      return this.bytes.slice(0, this.offset);
+    }
+  }
+
+  class Reader {
+    constructor(view) {
+      this.view = view;
+      this.offset = 0;
+    }
+
+    remaining() {
+      return this.view.byteLength - this.offset;
+    }
+
+    take(length) {
+      if (this.remaining() < length) {
+        throw new RangeError(`Paquete truncado: faltan ${length - this.remaining()} bytes en ${this.offset}`);
+      }
+      const offset = this.offset;
+      this.offset += length;
+      return offset;
+    }
+
+    // Copia de los bytes leídos desde start
+    since(start) {
+      return new Uint8Array(this.view.buffer, this.view.byteOffset + start, this.offset - start).slice();
+    }
+
+    u8() { return this.view.getUint8(this.take(1)); }
+    i8() { return this.view.getInt8(this.take(1)); }
+    u16() { return this.view.getUint16(this.take(2), true); }
+    u32() { return this.view.getUint32(this.take(4), true); }
+    f32() { return this.view.getFloat32(this.take(4), true); }
+  }
+
+  // ==================== TIPOS DE CAMPO ====================
+  // write(writer, valor, campo, ctx) / read(reader, campo, ctx, registro).
+  // Los campos sin nombre ("spread") reciben el registro entero y devuelven
+  // un objeto que se mezcla con él.
+  function encodeAngle(angle) {
+    return Math.round(((wrapAngle(+angle || 0) / Math.PI + 1) / 2) * 255);
+  }
+
+  function decodeAngle(value) {
+    return (value / 255 * 2 - 1) * Math.PI;
+  }
+
+  function writeUnorm(value, field, ctx, max) {
+    const scale = resolve(field.scale, ctx);
+    const offset = resolve(field.offset, ctx);
+    return Math.round(clamp(((+value || 0) - offset) / scale, 0, 1) * max);
+  }
+
+  function readUnorm(value, field, ctx, max) {
+    return value / max * resolve(field.scale, ctx) + resolve(field.offset, ctx);
+  }
+
+  function writePolar(w, vx, vy) {
+    const speed = Math.sqrt(vx * vx + vy * vy);
+    w.u16(Math.min(Math.round(speed), 0xFFFF));
+    w.u8(encodeAngle(Math.atan2(vy, vx)));
+  }
+
+  function readPolar(r) {
+    const speed = r.u16();
+    const angle = decodeAngle(r.u8());
+    return { vx: speed * Math.cos(angle), vy: speed * Math.sin(angle) };
+  }
+
+  // Salas con la opción quantize: posiciones unorm16 sobre el mapa (MAP_X/MAP_Y,
+  // ~0.2 px en 6400) y velocidades de 2 bytes: módulo en pasos de 8 px/s hasta
+  // QUANTIZED_MAX_SPEED y ángulo u8. Ni extrapolando un tick se nota el error.
+  // El tope cubre lo más rápido que hace el servidor (velocidad máxima + dash
+  // mejorado + bomba, ~1650 px/s); test/server.test.js lo comprueba con CONFIG.
+  const QUANTIZED_MAX_SPEED = 2040;
+
+  function isQuantized(ctx) {
+    return !!(ctx && ctx.quantize);
+  }
+
+  function writeVelocity(w, vx, vy, ctx) {
+    if (!isQuantized(ctx)) return writePolar(w, vx, vy);
+    const speed = Math.sqrt(vx * vx + vy * vy);
+    w.u8(Math.round(clamp(speed / QUANTIZED_MAX_SPEED, 0, 1) * 0xFF));
+    w.u8(encodeAngle(Math.atan2(vy, vx)));
+  }
+
+  function readVelocity(r, ctx) {
+    if (!isQuantized(ctx)) return readPolar(r);
+    const speed = r.u8() / 0xFF * QUANTIZED_MAX_SPEED;
+    const angle = decodeAngle(r.u8());
+    return { vx: speed * Math.cos(angle), vy: speed * Math.sin(angle) };
+  }
+
+  const TYPES = {
+    u8: { write: (w, v) => w.u8(v), read: r => r.u8() },
+    i8: { write: (w, v) => w.i8(v), read: r => r.i8() },
+    u16: { write: (w, v) => w.u16(v), read: r => r.u16() },
+    u32: { write: (w, v) => w.u32(v), read: r => r.u32() },
+    f32: { write: (w, v) => w.f32(v), read: r => r.f32() },
+    bool: { write: (w, v) => w.u8(v ? 1 : 0), read: r => r.u8() > 0 },
+
+    angle: {
+      write: (w, v) => w.u8(encodeAngle(v)),
+      read: r => decodeAngle(r.u8())
+    },
+
+    // Flotante cuantizado en [offset, offset + scale]
+    unorm8: {
+      write: (w, v, f, ctx) => w.u8(writeUnorm(v, f, ctx, 0xFF)),
+      read: (r, f, ctx) => readUnorm(r.u8(), f, ctx, 0xFF)
+    },
+    unorm16: {
+      write: (w, v, f, ctx) => w.u16(writeUnorm(v, f, ctx, 0xFFFF)),
+      read: (r, f, ctx) => readUnorm(r.u16(), f, ctx, 0xFFFF)
+    },
+
+    // Color empaquetado en 24 bits, byte alto primero
+    rgb: {
+      write(w, v) {
+        w.u8((v >> 16) & 0xFF);
+        w.u8((v >> 8) & 0xFF);
+        w.u8(v & 0xFF);
+      },
+      read: r => (r.u8() << 16) | (r.u8() << 8) | r.u8()
+    },
+
+    string: {
+      write(w, v) {
+        for (const byte of stringToBytes(v === undefined ? '' : v)) w.u8(byte);
+        w.u8(0);
+      },
+      read(r) {
+        const bytes = [];
+        while (r.remaining() > 0) {
+          const byte = r.u8();
+          if (byte === 0) break;
+          bytes.push(byte);
+        }
+        return bytesToString(bytes);
+      }
+    },
+
+    json: {
+      write: (w, v) => TYPES.string.write(w, JSON.stringify(v)),
+      read: r => JSON.parse(TYPES.string.read(r))
+    },
+
+    // Velocidad (registro.vx / registro.vy): módulo u16 + ángulo u8, o
+    // módulo u8 + ángulo u8 en salas cuantizadas
+    velocity: {
+      write: (w, rec, f, ctx) => writeVelocity(w, rec.vx, rec.vy, ctx),
+      read: (r, f, ctx) => readVelocity(r, ctx)
+    },
+
+    // Coordenada de mundo: f32, o unorm16 con el rango del campo en salas cuantizadas
+    coord: {
+      write: (w, v, f, ctx) => isQuantized(ctx) ? TYPES.unorm16.write(w, v, f, ctx) : w.f32(v),
+      read: (r, f, ctx) => isQuantized(ctx) ? TYPES.unorm16.read(r, f, ctx) : r.f32()
+    },
+
+    // Varios enteros pequeños en un byte, del bit menos significativo al más
+    packed: {
+      write(w, rec, f) {
+        let byte = 0;
+        let shift = 0;
+        for (const [name, bits] of f.bits) {
+          byte |= (rec[name] & ((1 << bits) - 1)) << shift;
+          shift += bits;
+        }
+        w.u8(byte);
+      },
+      read(r, f) {
+        const byte = r.u8();
+        const out = {};
+        let shift = 0;
+        for (const [name, bits] of f.bits) {
+          out[name] = (byte >> shift) & ((1 << bits) - 1);
+          shift += bits;
+        }
+        return out;
+      }
+    },
+
+    // Lista de escalares precedida por su longitud
+    list: {
+      write(w, v, f) {
+        const items = v || [];
+        TYPES[f.count].write(w, items.length);
+        for (const item of items) TYPES[f.of].write(w, item);
+      },
+      read(r, f) {
+        const count = TYPES[f.count].read(r);
+        const items = [];
+        for (let i = 0; i < count; i++) items.push(TYPES[f.of].read(r));
+        return items;
+      }
+    },
+
+    // Lista de registros precedida por su longitud
+    array: {
+      write(w, v, f, ctx) {
+        const items = v || [];
+        TYPES[f.count].write(w, items.length);
+        for (const item of items) writeFields(w, f.fields, item, ctx);
+      },
+      read(r, f, ctx) {
+        const count = TYPES[f.count].read(r);
+        const items = [];
+        for (let i = 0; i < count; i++) items.push(readFields(r, f.fields, {}, ctx));
+        return items;
+      }
+    },
+
+    // Elementos etiquetados con su tipo hasta el final del paquete. Acepta
+    // también capturas ya codificadas y, si ctx.capture existe, las rellena.
+    elements: {
+      write(w, v, f, ctx) {
+        for (const element of v || []) {
+          w.u8(element.elementType);
+          if (element.segments) {
+            for (const segment of element.segments) w.raw(segment);
+          } else {
+            writeFields(w, getElementLayout(element.elementType), element, ctx);
+          }
+        }
+      },
+      read(r, f, ctx) {
+        const elements = [];
+        while (r.remaining() > 0) {
+          const elementType = r.u8();
+          // Sin formato conocido no se puede saber dónde empieza el siguiente
+          const layout = ELEMENT_LAYOUTS[elementType];
+          if (!layout) break;
+          if (ctx && ctx.capture) {
+            const { rec, entry } = readElement(r, elementType, ctx, FULL_MASK, null);
+            ctx.capture.set(entry.id, entry);
+            elements.push(rec);
+          } else {
+            elements.push(readFields(r, layout, { elementType }, ctx));
+          }
+        }
+        return elements;
+      }
+    },
+
+    // Cambios respecto a la captura rec.baseline de ctx.snapshots: tipo, máscara
+    // de campos y sólo esos campos. Lo que no aparece ni está en rec.removed se
+    // reconstruye tal cual desde la línea base.
+    deltaElements: {
+      write(w, v) {
+        for (const change of v || []) {
+          w.u8(change.elementType);
+          w.u16(change.mask);
+          change.segments.forEach((segment, i) => {
+            if (change.mask & (1 << i)) w.raw(segment);
+          });
+        }
+      },
+      read(r, f, ctx, rec) {
+        const baseline = ctx && ctx.snapshots && ctx.snapshots.get(rec.baseline);
+        if (!baseline) throw new Error(`Línea base desconocida: ${rec.baseline}`);
+
+        const elements = [];
+        const touched = new Set(rec.removed);
+        while (r.remaining() > 0) {
+          const elementType = r.u8();
+          if (!ELEMENT_LAYOUTS[elementType]) break;
+          const { rec: element, entry } = readElement(r, elementType, ctx, r.u16(), baseline);
+          touched.add(entry.id);
+          if (ctx.capture) ctx.capture.set(entry.id, entry);
+          elements.push(element);
+        }
+
+        for (const [id, entry] of baseline) {
+          if (touched.has(id)) continue;
+          if (ctx.capture) ctx.capture.set(id, entry);
+          elements.push(readElement(null, entry.elementType, ctx, 0, entry).rec);
+        }
+        return elements;
+      }
+    },
+
+    // Resto del cuerpo tras la cabeza: ángulos u8, salvo la parte en breakPoint
+    // que va suelta con posición y velocidad
+    fishTail: {
+      write(w, rec, f, ctx) {
+        const parts = rec.parts;
+        w.u8(parts.length - 1);
+        for (let i = 1; i < parts.length; i++) {
+          const part = parts[i];
+          if (i !== rec.breakPoint) {
+            w.u8(encodeAngle(part.rot));
+          } else if (isQuantized(ctx)) {
+            TYPES.coord.write(w, part.x, MAP_X, ctx);
+            TYPES.coord.write(w, part.y, MAP_Y, ctx);
+            writeVelocity(w, part.vx, part.vy, ctx);
+          } else {
+            w.f32(part.x);
+            w.f32(part.y);
+            w.f32(part.vx);
+            w.f32(part.vy);
+          }
+        }
+      },
+      read(r, f, ctx, rec) {
+        const count = r.u8();
+        const parts = rec.parts || [];
+        for (let i = 1; i < count + 1; i++) {
+          if (i !== rec.breakPoint) {
+            parts.push({ rot: decodeAngle(r.u8()) });
+          } else if (isQuantized(ctx)) {
+            const x = TYPES.coord.read(r, MAP_X, ctx);
+            const y = TYPES.coord.read(r, MAP_Y, ctx);
+            parts.push(Object.assign({ x, y }, readVelocity(r, ctx)));
+          } else {
+            parts.push({ x: r.f32(), y: r.f32(), vx: r.f32(), vy: r.f32() });
+          }
+        }
+        return { parts };
+      }
+    }
+  };
+
+  // ==================== CAPTURAS DE ELEMENTOS ====================
+  // Una captura guarda los bytes de cada campo de un elemento por separado
+  // ("segmentos"), para comparar snapshots campo a campo sin decodificarlos.
+  const FULL_MASK = 0xFFFF;
+
+  function captureElement(element, ctx) {
+    const layout = getElementLayout(element.elementType);
+    const segments = layout.map(f => {
+      const w = new Writer(16);
+      writeFields(w, [f], element, ctx);
+      return w.finish();
+    });
+    return { elementType: element.elementType, id: element.id >>> 0, segments };
+  }
+
+  // Lee un elemento tomando de r los campos marcados en mask y el resto de la
+  // captura base (un Map id → captura, o la captura misma).
+  function readElement(r, elementType, ctx, mask, base) {
+    const layout = ELEMENT_LAYOUTS[elementType];
+    const rec = { elementType };
+    const segments = new Array(layout.length);
+    let entry = base && base.segments ? base : null;
+
+    for (let i = 0; i < layout.length; i++) {
+      if (mask & (1 << i)) {
+        const start = r.offset;
+        readFields(r, [layout[i]], rec, ctx);
+        segments[i] = r.since(start);
+      } else {
+        if (!entry && base) entry = base.get(rec.id);
+        if (!entry || entry.elementType !== elementType) {
+          throw new Error(`Elemento ${rec.id} sin captura base`);
+        }
+        segments[i] = entry.segments[i];
+        readFields(new Reader(toDataView(segments[i])), [layout[i]], rec, ctx);
+      }
+    }
+    return { rec, entry: { elementType, id: rec.id, segments } };
+  }
+
+  function sameBytes(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+    return true;
+  }
+
+  // Diferencias entre dos Map id → captura para SET_ELEMENTS_DELTA
+  function diffSnapshot(baseline, current) {
+    const changes = [];
+    const removed = [];
+
+    for (const [id, entry] of current) {
+      const base = baseline.get(id);
+      let mask = 0;
+      if (!base || base.elementType !== entry.elementType) {
+        mask = (1 << entry.segments.length) - 1;
+      } else {
+        entry.segments.forEach((segment, i) => {
+          if (!sameBytes(segment, base.segments[i])) mask |= 1 << i;
+        });
+      }
+      // El id (campo 0) viaja siempre para identificar el elemento
+      if (mask) changes.push({ elementType: entry.elementType, mask: mask | 1, segments: entry.segments });
+    }
+
+    for (const id of baseline.keys()) {
+      if (!current.has(id)) removed.push(id);
+    }
+    return { changes, removed };
+  }
+
+  // Números de secuencia u16 con vuelta: ¿a es posterior a b?
+  function isNewerSeq(a, b) {
+    return a !== b && ((a - b) & 0xFFFF) < 0x8000;
+  }
+
+  // ==================== CODIFICACIÓN GENÉRICA ====================
+  // Con la opción part el campo vive en rec.parts[part] en vez de en rec
+  function writeFields(w, fields, rec, ctx) {
+    let scope = rec;
+    for (const f of fields) {
+      if (f.compute) {
+        if (scope === rec) scope = Object.create(rec);
+        scope[f.name] = f.compute(rec, ctx);
+      }
+      if (f.when && !f.when(scope, ctx)) continue;
+      const target = f.part === undefined ? scope : scope.parts[f.part];
+      TYPES[f.type].write(w, f.spread ? target : target[f.name], f, ctx);
+    }
+  }
+
+  function readFields(r, fields, rec, ctx) {
+    for (const f of fields) {
+      if (f.when && !f.when(rec, ctx)) continue;
+      const value = TYPES[f.type].read(r, f, ctx, rec);
+      let target = rec;
+      if (f.part !== undefined) {
+        rec.parts = rec.parts || [];
+        target = rec.parts[f.part] = rec.parts[f.part] || {};
+      }
+      if (f.spread) Object.assign(target, value);
+      else target[f.name] = value;
+    }
+    return rec;
+  }
+
+  // [nombre, tipo, opciones] → descriptor de campo. Nombre null = spread.
+  function compileFields(list) {
+    return list.map(([name, type, options]) => {
+      if (!TYPES[type]) throw new Error(`Tipo de campo desconocido: ${type}`);
+      const field = Object.assign({ name, type, spread: name === null, scale: 1, offset: 0 }, options);
+      if (field.fields) field.fields = compileFields(field.fields);
+      return field;
+    });
+  }
+
+  // Posiciones relativas al mapa, con medio mapa de margen a cada lado
+  const MAP_X = { scale: ctx => 2 * ctx.width, offset: ctx => -ctx.width / 2 };
+  const MAP_Y = { scale: ctx => 2 * ctx.height, offset: ctx => -ctx.height / 2 };
+
+  // ==================== ELEMENTOS DE SetElements ====================
+  // Cabeza del narval: parts[0] con posición completa. Van como campos
+  // separados para que un delta no repita lo que no cambió.
+  const HEAD = { part: 0 };
+
+  // Presupuesto en bytes por elemento, sin contar el byte de tipo (normal /
+  // cuantizado, ver isQuantized):
+  //   posición x+y            8 / 4
+  //   velocidad               3 / 2
+  //   parte suelta en la cola 16 / 6   (sólo con el colmillo roto)
+  //   FISH   27 / 22 + nombre (longitud + 1) + cola (1 + 1 por parte)
+  //          → 48 / 43 con 11 partes y un nombre de 9 letras. No llega a la
+  //          mitad porque quantize sólo encoge posición y velocidad: id, color,
+  //          nombre, skin y decoration (18 bytes) no se pueden cuantizar, y los
+  //          ángulos de la cola y los campos unorm8 ya van en un byte. Esos
+  //          campos fijos no se repiten en los deltas.
+  //   FOOD   17 / 13
+  //   BALL, CHARACTER 15 / 10;  BOMB 16 / 11;  ATTACHABLE 19 / 14
+  // En un delta sólo viajan los campos cambiados: el narval que se mueve
+  // manda id + posición + velocidad + rot, 19 / 13 bytes más tipo y máscara.
+
+  const ELEMENT_SCHEMA = {
+    [ELEMENT_TYPES.FISH]: [
+      ['id', 'u32'],
+      ['color', 'rgb'],
+      ['name', 'string'],
+      [null, 'packed', { bits: [['team', 3], ['breakPoint', 5]] }],
+      ['alpha', 'unorm8'],
+      [null, 'packed', { bits: [['maxDash', 4], ['curDash', 4]] }],
+      ['overDash', 'unorm8'],
+      ['tuskRatio', 'unorm8', { scale: 2 }],
+      ['decoration', 'u8'],
+      ['x', 'coord', Object.assign({}, HEAD, MAP_X)],
+      ['y', 'coord', Object.assign({}, HEAD, MAP_Y)],
+      [null, 'velocity', HEAD],
+      ['rot', 'angle', HEAD],
+      ['skin', 'u8'],
+      ['invincibleDur', 'unorm8', { scale: 2 }],
+      [null, 'fishTail']
+    ],
+    [ELEMENT_TYPES.BALL]: [
+      ['id', 'u32'],
+      ['x', 'coord', MAP_X],
+      ['y', 'coord', MAP_Y],
+      [null, 'velocity']
+    ],
+    [ELEMENT_TYPES.ATTACHABLE]: [
+      ['id', 'u32'],
+      ['x', 'coord', MAP_X],
+      ['y', 'coord', MAP_Y],
+      [null, 'velocity'],
+      ['rot', 'angle'],
+      ['variation', 'u8'],
+      ['type', 'u8'],
+      ['size', 'u8']
+    ],
+    [ELEMENT_TYPES.CHARACTER]: [
+      ['id', 'u32'],
+      ['x', 'coord', MAP_X],
+      ['y', 'coord', MAP_Y],
+      [null, 'velocity']
+    ],
+    [ELEMENT_TYPES.BOMB]: [
+      ['id', 'u32'],
+      ['x', 'coord', MAP_X],
+      ['y', 'coord', MAP_Y],
+      [null, 'velocity'],
+      ['rot', 'angle']
+    ],
+    [ELEMENT_TYPES.OCCUPIABLE]: [
+      ['id', 'u32'],
+      ['benefit', 'u8'],
+      ['accumSide', 'unorm8', { scale: 2, offset: -1 }],
+      ['curSide', 'i8'],
+      ['occupyingSide', 'i8']
+    ],
+    [ELEMENT_TYPES.FOOD]: [
+      ['id', 'u32'],
+      ['x', 'coord', MAP_X],
+      ['y', 'coord', MAP_Y],
+      ['value', 'u8'],
+      ['size', 'u8'],
+      ['color', 'rgb']
+    ]
+  };
+
+  // ==================== PAQUETES ====================
+  const TARGET = [['x', 'f32'], ['y', 'f32']];
+
+  // Dirección relativa a la cabeza, no un punto del mapa: (x, y) apunta hacia
+  // donde girar y su módulo es la intensidad (1 o más = velocidad máxima; el
+  // ratón llega a 2 y el mando a 1). seq sube en cada envío, con vuelta en u16.
+  const STEER = [...TARGET, ['seq', 'u16']];
+
+  // Cabecera común de SET_ELEMENTS y SET_ELEMENTS_DELTA. tick es el paso de
+  // simulación de la sala y time su instante simulado en ms (u16 con vuelta),
+  // así el cliente interpola sin el jitter del envío. flags: bit 0 =
+  // slowFactor, bit 1 = indicador, bit 2 = seq (sólo clientes con DELTA).
+  const SNAPSHOT_HEADER = [
+    ['time', 'u16'],
+    ['tick', 'u32'],
+    ['flags', 'u8', {
+      compute: rec => (rec.slowFactor !== undefined ? 1 : 0) |
+        (rec.indicatorX !== undefined ? 2 : 0) |
+        (rec.seq !== undefined ? 4 : 0)
+    }],
+    ['slowFactor', 'u8', { when: rec => rec.flags & 1 }],
+    ['indicatorX', 'unorm16', Object.assign({ when: rec => rec.flags & 2 }, MAP_X)],
+    ['indicatorY', 'unorm16', Object.assign({ when: rec => rec.flags & 2 }, MAP_Y)],
+    ['seq', 'u16', { when: rec => rec.flags & 4 }]
+  ];
+
+  const PACKET_SCHEMA = {
+    [OPCODES.JOIN]: {
+      name: 'Join',
+      toServer: [['lobbyID', 'u32']],
+      toClient: [['lobbyID', 'u32']]
+    },
+    [OPCODES.LEAVE]: {
+      name: 'Leave',
+      toServer: []
+    },
+    [OPCODES.START]: {
+      name: 'Start',
+      toServer: [['skincode', 'u32'], ['colorcode', 'u32'], ['name', 'string']],
+      toClient: [['uid', 'u32']]
+    },
+    [OPCODES.GET_LOBBIES]: {
+      name: 'GetLobbies',
+      toServer: [],
+      toClient: [['data', 'json']]
+    },
+    [OPCODES.HELLO]: {
+      name: 'Hello',
+      toServer: [['version', 'u16'], ['capabilities', 'u32']],
+      toClient: [['version', 'u16'], ['capabilities', 'u32']]
+    },
+    [OPCODES.UPDATE_TARGET]: {
+      name: 'UpdateTarget',
+      toServer: STEER
+    },
+    [OPCODES.SPLIT_UP]: {
+      name: 'SplitUp',
+      toServer: TARGET
+    },
+    [OPCODES.RIP]: {
+      name: 'RIP',
+      toClient: []
+    },
+    [OPCODES.RETREAT]: {
+      name: 'Retreat',
+      toServer: TARGET
+    },
+    // Reservado: ningún extremo lo envía todavía
+    [OPCODES.PLAYER_UPDATE]: {
+      name: 'PlayerUpdate'
+    },
+    [OPCODES.PING]: {
+      name: 'Ping',
+      toServer: [['now', 'f32']],
+      toClient: [['now', 'f32']]
+    },
+    [OPCODES.INPUT]: {
+      name: 'Input',
+      toServer: [['control', 'u8']]
+    },
+    // Snapshot aplicado por el cliente; resync pide un keyframe
+    [OPCODES.ACK]: {
+      name: 'Ack',
+      toServer: [['seq', 'u16'], ['resync', 'bool']]
+    },
+    [OPCODES.SET_ELEMENTS]: {
+      name: 'SetElements',
+      toClient: SNAPSHOT_HEADER.concat([['elements', 'elements']])
+    },
+    [OPCODES.SET_ELEMENTS_DELTA]: {
+      name: 'SetElementsDelta',
+      toClient: SNAPSHOT_HEADER.concat([
+        ['baseline', 'u16'],
+        ['removed', 'list', { count: 'u16', of: 'u32' }],
+        ['elements', 'deltaElements']
+      ])
+    },
+    [OPCODES.PLAYER_INFO]: {
+      name: 'PlayerInfo',
+      toClient: [['level', 'u8'], ['upgrade', 'list', { count: 'u8', of: 'u8' }]]
+    },
+    [OPCODES.LEADER_BOARD]: {
+      name: 'LeaderBoard',
+      toClient: [
+        ['record', 'array', { count: 'u8', fields: [['level', 'u8'], ['name', 'string']] }],
+        ['scores', 'list', { count: 'u8', of: 'u8' }]
+      ]
+    },
+    [OPCODES.TEAM_INFO]: {
+      name: 'TeamInfo',
+      toClient: [['leftTeamScore', 'u8'], ['rightTeamScore', 'u8'], ['winTeam', 'i8'], ['isRoundDone', 'bool']]
+    },
+    [OPCODES.TRANSIENT_ELEMENT]: {
+      name: 'TransientElement',
+      toClient: [['type', 'u8'], ['x', 'unorm16', MAP_X], ['y', 'unorm16', MAP_Y]]
+    },
+    // Se envía al cambiar de fase y al entrar en la sala; el cliente cuenta los
+    // segundos de remaining por su cuenta. remaining 0 en WARMUP: faltan
+    // jugadores. El ganador va en winTeam (modos por equipos) o en winner.
+    [OPCODES.MATCH_STATE]: {
+      name: 'MatchState',
+      toClient: [['state', 'u8'], ['remaining', 'u16'], ['winTeam', 'i8'], ['winner', 'string']]
+    },
+    // Estadísticas del servidor para el panel de diagnóstico del cliente
+    [OPCODES.GET_STATS]: {
+      name: 'GetStats',
+      toServer: [],
+      toClient: [['stats', 'json']]
+    },
+    [OPCODES.INVALID]: {
+      name: 'INVALID',
+      toClient: [['code', 'u8'], ['reason', 'string']]
+    }
+  };
+
+  const ELEMENT_LAYOUTS = {};
+  for (const type in ELEMENT_SCHEMA) {
+    ELEMENT_LAYOUTS[type] = compileFields(ELEMENT_SCHEMA[type]);
+  }
+
+  const PACKET_LAYOUTS = {};
+  for (const opcode in PACKET_SCHEMA) {
+    const packet = PACKET_SCHEMA[opcode];
+    PACKET_LAYOUTS[opcode] = {};
+    for (const direction of [DIRECTION.TO_SERVER, DIRECTION.TO_CLIENT]) {
+      if (packet[direction]) PACKET_LAYOUTS[opcode][direction] = compileFields(packet[direction]);
+    }
+  }
+
+  function getElementLayout(elementType) {
+    const layout = ELEMENT_LAYOUTS[elementType];
+    if (!layout) throw new Error(`Tipo de elemento sin formato: ${elementType}`);
+    return layout;
+  }
+
+  function hasLayout(direction, opcode) {
+    return Boolean(PACKET_LAYOUTS[opcode] && PACKET_LAYOUTS[opcode][direction]);
+  }
+
+  function getLayout(direction, opcode) {
+    if (!hasLayout(direction, opcode)) {
+      throw new Error(`Opcode ${opcode} sin formato ${direction}`);
+    }
+    return PACKET_LAYOUTS[opcode][direction];
+  }
+
+  // ==================== API ====================
+  // ctx son las opciones de la sala (width, height...) para los campos
+  // relativos al mapa. encode devuelve un Uint8Array del tamaño exacto.
+  function encode(direction, opcode, record = {}, ctx) {
+    const layout = getLayout(direction, opcode);
+    const w = new Writer();
+    w.u8(opcode);
+    writeFields(w, layout, record, ctx);
+    return w.finish();
+  }
+
+  function decode(direction, data, ctx) {
+    const r = new Reader(toDataView(data));
+    const opcode = r.u8();
+    return readFields(r, getLayout(direction, opcode), { opcode }, ctx);
+  }
+
+  return {
+    PROTOCOL_VERSION,
+    QUANTIZED_MAX_SPEED,
+    CAPABILITIES,
+    INVALID_REASONS,
+    OPCODES,
+    ELEMENT_TYPES,
+    TRANSIENT_TYPES,
+    CONTROLS,
+    DECORATIONS,
+    MATCH_STATES,
+    DIRECTION,
+    PACKET_SCHEMA,
+    ELEMENT_SCHEMA,
+    hasLayout,
+    encode,
+    decode,
+    captureElement,
+    diffSnapshot,
+    isNewerSeq
+  };
+});
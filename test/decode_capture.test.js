@@ -0,0 +1,89 @@
+// Pruebas del decodificador de capturas (decode_capture.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Protocol = require('../protocol');
+const { CaptureDecoder, parseArgs, parseOpcode } = require('../decode_capture');
+
+const { OPCODES, ELEMENT_TYPES, DIRECTION } = Protocol;
+
+const ROOM = { width: 6400, height: 6400, cellWidth: 1280, quantize: true };
+
+function food(id, x) {
+  return { elementType: ELEMENT_TYPES.FOOD, id, x, y: 100, value: 1, size: 4, color: 0x4ECDC4 };
+}
+
+function frame(t, conn, dir, opcode, record, options) {
+  const direction = dir === 'in' ? DIRECTION.TO_SERVER : DIRECTION.TO_CLIENT;
+  const bytes = Protocol.encode(direction, opcode, record, options);
+  return { type: 'frame', t, conn, dir, player: conn * 10, room: 0, data: Buffer.from(bytes).toString('base64') };
+}
+
+// Captura como la que escribe TrafficRecorder: keyframe seq 1 y delta seq 2 contra él
+function capture() {
+  const before = new Map([food(1, 10), food(2, 20)].map(e => [e.id, Protocol.captureElement(e, ROOM)]));
+  const after = new Map([food(1, 10), food(3, 30)].map(e => [e.id, Protocol.captureElement(e, ROOM)]));
+  const { changes, removed } = Protocol.diffSnapshot(before, after);
+
+  return [
+    { type: 'start', t: 1000, version: Protocol.PROTOCOL_VERSION, rooms: { 0: ROOM } },
+    { type: 'open', t: 1000, conn: 1 },
+    frame(1010, 1, 'in', OPCODES.PING, { now: 5 }),
+    frame(1050, 1, 'out', OPCODES.SET_ELEMENTS, { time: 1, tick: 3, seq: 1, elements: Array.from(before.values()) }, ROOM),
+    frame(1100, 1, 'out', OPCODES.SET_ELEMENTS_DELTA,
+      { time: 2, tick: 6, seq: 2, baseline: 1, removed, elements: changes }, ROOM),
+    frame(1200, 2, 'out', OPCODES.PING, { now: 7 })
+  ];
+}
+
+function run(filters) {
+  const decoder = new CaptureDecoder(filters);
+  return capture().map(event => decoder.push(event)).filter(Boolean);
+}
+
+test('decodifica cada trama con su sentido y reconstruye los deltas', () => {
+  const frames = run({});
+  assert.deepEqual(frames.map(f => f.packet), ['Ping', 'SetElements', 'SetElementsDelta', 'Ping']);
+  assert.deepEqual(frames.map(f => f.t), [0.01, 0.05, 0.1, 0.2]);
+  assert.equal(frames[0].dir, 'in');
+  assert.equal(frames[0].now, 5);
+
+  const delta = frames[2];
+  assert.equal(delta.error, undefined);
+  assert.equal(delta.tick, 6);
+  assert.deepEqual(delta.elements.map(e => e.id).sort(), [1, 3]);
+});
+
+test('los filtros no rompen la reconstrucción de deltas ocultos', () => {
+  const onlyDelta = run({ opcodes: new Set([OPCODES.SET_ELEMENTS_DELTA]) });
+  assert.equal(onlyDelta.length, 1);
+  assert.deepEqual(onlyDelta[0].elements.map(e => e.id).sort(), [1, 3]);
+
+  assert.deepEqual(run({ player: 20 }).map(f => f.conn), [2]);
+  assert.deepEqual(run({ conn: 1, dir: 'out' }).map(f => f.packet), ['SetElements', 'SetElementsDelta']);
+  assert.deepEqual(run({ from: 0.04, to: 0.15 }).map(f => f.packet), ['SetElements', 'SetElementsDelta']);
+});
+
+test('una trama ilegible sale con el error y sus bytes', () => {
+  const decoder = new CaptureDecoder({});
+  decoder.push({ type: 'start', t: 0, version: Protocol.PROTOCOL_VERSION, rooms: { 0: ROOM } });
+  const broken = decoder.push({ type: 'frame', t: 5, conn: 1, dir: 'in', player: 1, room: 0, data: Buffer.of(OPCODES.START, 1).toString('base64') });
+  assert.equal(broken.packet, 'Start');
+  assert.match(broken.error, /truncado/);
+  assert.equal(broken.bytes, '1201');
+});
+
+test('argumentos de la línea de órdenes', () => {
+  assert.equal(parseOpcode('SetElementsDelta'), OPCODES.SET_ELEMENTS_DELTA);
+  assert.equal(parseOpcode('set_elements'), OPCODES.SET_ELEMENTS);
+  assert.equal(parseOpcode('37'), OPCODES.PING);
+  assert.throws(() => parseOpcode('Nada'), /Opcode desconocido/);
+
+  const options = parseArgs(['cap.jsonl', '--opcode', 'Ping,48', '--player', '12', '--from', '1.5', '--pretty']);
+  assert.equal(options.file, 'cap.jsonl');
+  assert.deepEqual([...options.filters.opcodes], [OPCODES.PING, OPCODES.SET_ELEMENTS]);
+  assert.equal(options.filters.player, 12);
+  assert.equal(options.filters.from, 1.5);
+  assert.equal(options.pretty, true);
+  assert.throws(() => parseArgs(['cap.jsonl', '--dir', 'up']), /--dir/);
+  assert.throws(() => parseArgs([]), /Uso/);
+});
@@ -0,0 +1,316 @@
+// Pruebas de ida y vuelta del esquema compartido (protocol.js).
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Protocol = require('../protocol');
+
+const { OPCODES, ELEMENT_TYPES, DIRECTION, PACKET_SCHEMA, ELEMENT_SCHEMA } = Protocol;
+
+const ROOM = { width: 6400, height: 6400, cellWidth: 1280 };
+
+function fish(overrides) {
+  const parts = [{ x: 3200.5, y: -120.25, vx: 30, vy: -40, rot: 1.2 }];
+  for (let i = 1; i < 12; i++) parts.push({ rot: -0.5 + i * 0.1 });
+  // La parte de ruptura viaja con posición y velocidad completas
+  parts[4] = { x: 3100, y: -100, vx: 12.5, vy: -7.25 };
+  return Object.assign({
+    elementType: ELEMENT_TYPES.FISH,
+    id: 4000000001,
+    color: 0x33E6A2,
+    name: 'Ñandú 🐋',
+    team: 1,
+    breakPoint: 4,
+    alpha: 1,
+    maxDash: 5,
+    curDash: 3,
+    overDash: 0.5,
+    tuskRatio: 1.5,
+    decoration: 1,
+    skin: 7,
+    invincibleDur: 0.75,
+    parts
+  }, overrides);
+}
+
+const ELEMENT_SAMPLES = {
+  [ELEMENT_TYPES.FISH]: fish(),
+  [ELEMENT_TYPES.BALL]: { id: 2, x: 10.5, y: 20.25, vx: 3, vy: 4 },
+  [ELEMENT_TYPES.ATTACHABLE]: { id: 3, x: 1, y: 2, vx: 0, vy: 0, rot: -2, variation: 1, type: 2, size: 40 },
+  [ELEMENT_TYPES.CHARACTER]: { id: 4, x: -5, y: 6, vx: -10, vy: 0 },
+  [ELEMENT_TYPES.BOMB]: { id: 5, x: 7, y: 8, vx: 0, vy: 9, rot: 3 },
+  [ELEMENT_TYPES.OCCUPIABLE]: { id: 6, benefit: 2, accumSide: -0.5, curSide: -1, occupyingSide: 1 },
+  [ELEMENT_TYPES.FOOD]: { id: 7, x: 100.5, y: 200.5, value: 3, size: 12, color: 0xFF8800 }
+};
+
+// Un ejemplo por opcode y dirección declarada en PACKET_SCHEMA
+const PACKET_SAMPLES = {
+  [OPCODES.JOIN]: { toServer: { lobbyID: 7 }, toClient: { lobbyID: 7 } },
+  [OPCODES.LEAVE]: { toServer: {} },
+  [OPCODES.START]: {
+    toServer: { skincode: 7, colorcode: 0x11223344, name: 'José ♥ 名前' },
+    toClient: { uid: 0xDEADBEEF }
+  },
+  [OPCODES.GET_LOBBIES]: { toServer: {}, toClient: { data: [{ id: 0, name: 'Grande', playerCount: 3 }] } },
+  [OPCODES.HELLO]: {
+    toServer: { version: Protocol.PROTOCOL_VERSION, capabilities: Protocol.CAPABILITIES.FOOD },
+    toClient: { version: Protocol.PROTOCOL_VERSION, capabilities: Protocol.CAPABILITIES.FOOD }
+  },
+  [OPCODES.UPDATE_TARGET]: { toServer: { x: 0.5, y: -0.25, seq: 65535 } },
+  [OPCODES.SPLIT_UP]: { toServer: { x: 0.5, y: -0.25 } },
+  [OPCODES.RIP]: { toClient: {} },
+  [OPCODES.RETREAT]: { toServer: { x: -1, y: 1 } },
+  [OPCODES.PING]: { toServer: { now: 123.5 }, toClient: { now: 123.5 } },
+  [OPCODES.INPUT]: { toServer: { control: 0x10 | 0x01 } },
+  [OPCODES.ACK]: { toServer: { seq: 0xFFFF, resync: true } },
+  [OPCODES.SET_ELEMENTS]: {
+    toClient: {
+      time: 0xBEEF,
+      tick: 0xFEEDF00D,
+      seq: 42,
+      slowFactor: 3,
+      indicatorX: 1600,
+      indicatorY: -800,
+      elements: Object.values(ELEMENT_SAMPLES).map((sample, i) =>
+        Object.assign({ elementType: Number(Object.keys(ELEMENT_SAMPLES)[i]) }, sample))
+    }
+  },
+  [OPCODES.PLAYER_INFO]: { toClient: { level: 4, upgrade: [1, 0, 2] } },
+  [OPCODES.LEADER_BOARD]: {
+    toClient: { record: [{ level: 9, name: 'Él' }, { level: 2, name: 'b' }], scores: [5, 1] }
+  },
+  [OPCODES.TEAM_INFO]: { toClient: { leftTeamScore: 2, rightTeamScore: 3, winTeam: -1, isRoundDone: true } },
+  [OPCODES.TRANSIENT_ELEMENT]: { toClient: { type: Protocol.TRANSIENT_TYPES.SMOKE_EXPLOSION, x: 100, y: 6000 } },
+  [OPCODES.MATCH_STATE]: { toClient: { state: Protocol.MATCH_STATES.ROUND_END, remaining: 300, winTeam: -1, winner: 'Ñandú' } },
+  [OPCODES.GET_STATS]: {
+    toServer: {},
+    toClient: { stats: { uptime: 12, sockets: 3, rooms: [{ id: 0, name: 'Grande', players: 2, tickAvg: 0.25 }] } }
+  },
+  [OPCODES.INVALID]: { toClient: { code: Protocol.INVALID_REASONS.VERSION_MISMATCH, reason: 'Versión ✗' } }
+};
+
+// Su decodificación es el estado reconstruido, no el delta: ver su propia prueba
+const OWN_TESTS = new Set([OPCODES.SET_ELEMENTS_DELTA]);
+
+// Lo decodificado vuelve a codificar exactamente a los mismos bytes
+function roundTrip(direction, opcode, record) {
+  const bytes = Protocol.encode(direction, opcode, record, ROOM);
+  const decoded = Protocol.decode(direction, bytes, ROOM);
+  assert.equal(decoded.opcode, opcode);
+  assert.deepEqual(Protocol.encode(direction, opcode, decoded, ROOM), bytes);
+  return decoded;
+}
+
+function near(actual, expected, tolerance, label) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} ≠ ${expected}`);
+}
+
+test('todo opcode con formato tiene ejemplo y hace ida y vuelta', () => {
+  for (const opcode in PACKET_SCHEMA) {
+    for (const direction of [DIRECTION.TO_SERVER, DIRECTION.TO_CLIENT]) {
+      if (!Protocol.hasLayout(direction, Number(opcode)) || OWN_TESTS.has(Number(opcode))) continue;
+      const sample = PACKET_SAMPLES[opcode] && PACKET_SAMPLES[opcode][direction];
+      assert.ok(sample, `Falta ejemplo para ${PACKET_SCHEMA[opcode].name} ${direction}`);
+      roundTrip(direction, Number(opcode), sample);
+    }
+  }
+});
+
+test('todo tipo de ELEMENT_SCHEMA hace ida y vuelta', () => {
+  for (const type in ELEMENT_SCHEMA) {
+    const sample = ELEMENT_SAMPLES[type];
+    assert.ok(sample, `Falta ejemplo para el elemento ${type}`);
+    const element = Object.assign({ elementType: Number(type) }, sample);
+    const decoded = roundTrip(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS, { time: 1, elements: [element] });
+    assert.equal(decoded.elements.length, 1);
+    assert.equal(decoded.elements[0].elementType, Number(type));
+    assert.equal(decoded.elements[0].id, sample.id);
+  }
+});
+
+test('el pez conserva cabeza, cola y la parte de ruptura', () => {
+  const source = fish();
+  const { elements: [decoded] } = roundTrip(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS, { time: 1, elements: [source] });
+
+  assert.equal(decoded.name, source.name);
+  assert.equal(decoded.color, source.color);
+  assert.equal(decoded.team, 1);
+  assert.equal(decoded.breakPoint, 4);
+  assert.equal(decoded.maxDash, 5);
+  assert.equal(decoded.curDash, 3);
+  assert.equal(decoded.skin, 7);
+  assert.equal(decoded.parts.length, source.parts.length);
+
+  const head = decoded.parts[0];
+  near(head.x, 3200.5, 1e-3, 'head.x');
+  near(head.y, -120.25, 1e-3, 'head.y');
+  near(head.vx, 30, 0.5, 'head.vx');
+  near(head.vy, -40, 0.5, 'head.vy');
+
+  assert.deepEqual(decoded.parts[4], { x: 3100, y: -100, vx: 12.5, vy: -7.25 });
+  for (let i = 1; i < decoded.parts.length; i++) {
+    if (i === 4) continue;
+    assert.deepEqual(Object.keys(decoded.parts[i]), ['rot']);
+    near(decoded.parts[i].rot, source.parts[i].rot, Math.PI / 255, `parts[${i}].rot`);
+  }
+});
+
+test('las salas cuantizadas mandan posiciones u16 y velocidades de 2 bytes', () => {
+  const quantized = Object.assign({}, ROOM, { quantize: true });
+  const step = 2 * ROOM.width / 0xFFFF;
+  const elements = Object.keys(ELEMENT_SAMPLES).map(type => Object.assign({ elementType: Number(type) }, ELEMENT_SAMPLES[type]));
+  const record = { time: 1, elements };
+
+  const bytes = Protocol.encode(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS, record, quantized);
+  const decoded = Protocol.decode(DIRECTION.TO_CLIENT, bytes, quantized);
+  assert.deepEqual(Protocol.encode(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS, decoded, quantized), bytes);
+
+  // Cabeza: -5 bytes; parte de ruptura: -10; BALL/CHARACTER/BOMB/ATTACHABLE: -5; FOOD: -4
+  const plain = Protocol.encode(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS, record, ROOM);
+  assert.equal(plain.length - bytes.length, 5 + 10 + 4 * 5 + 4);
+
+  const [head, broken] = [decoded.elements[0].parts[0], decoded.elements[0].parts[4]];
+  near(head.x, 3200.5, step, 'head.x');
+  near(head.y, -120.25, step, 'head.y');
+  near(head.vx, 30, 4, 'head.vx');
+  near(head.vy, -40, 4, 'head.vy');
+  near(broken.x, 3100, step, 'broken.x');
+  near(broken.vy, -7.25, 4, 'broken.vy');
+
+  // Lo que empuja una bomba (más de 1020 px/s, el tope anterior) no se recorta
+  const fast = Object.assign({}, ELEMENT_SAMPLES[ELEMENT_TYPES.BALL], { elementType: ELEMENT_TYPES.BALL, vx: 1600, vy: 0 });
+  const [ball] = Protocol.decode(DIRECTION.TO_CLIENT,
+    Protocol.encode(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS, { time: 1, elements: [fast] }, quantized), quantized).elements;
+  near(ball.vx, 1600, Protocol.QUANTIZED_MAX_SPEED / 0xFF, 'ball.vx');
+  for (const element of decoded.elements.slice(1)) {
+    const sample = ELEMENT_SAMPLES[element.elementType];
+    if (sample.x === undefined) continue;
+    near(element.x, sample.x, step, `${element.elementType}.x`);
+    near(element.y, sample.y, step, `${element.elementType}.y`);
+  }
+});
+
+test('SetElements sólo escribe slowFactor e indicador cuando existen', () => {
+  const bare = roundTrip(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS, { time: 5, elements: [] });
+  assert.equal(bare.flags, 0);
+  assert.equal('slowFactor' in bare, false);
+  assert.equal('indicatorX' in bare, false);
+
+  const slow = roundTrip(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS, { time: 5, slowFactor: 2, elements: [] });
+  assert.equal(slow.flags, 1);
+  assert.equal(slow.slowFactor, 2);
+  assert.equal('indicatorX' in slow, false);
+
+  const full = roundTrip(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS, PACKET_SAMPLES[OPCODES.SET_ELEMENTS].toClient);
+  assert.equal(full.flags, 7);
+  assert.equal(full.seq, 42);
+  assert.equal(full.tick, 0xFEEDF00D);
+  assert.equal(full.slowFactor, 3);
+  near(full.indicatorX, 1600, 2 * ROOM.width / 0xFFFF, 'indicatorX');
+  near(full.indicatorY, -800, 2 * ROOM.height / 0xFFFF, 'indicatorY');
+  assert.equal(full.elements.length, Object.keys(ELEMENT_SAMPLES).length);
+  assert.equal(bare.elements.length + slow.elements.length, 0);
+  assert.equal(Protocol.encode(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS, { time: 5, elements: [] }).length, 8);
+});
+
+test('los unorm se recortan a su rango', () => {
+  const encodeOcc = accumSide => Protocol.decode(DIRECTION.TO_CLIENT, Protocol.encode(
+    DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS,
+    { time: 0, elements: [Object.assign({}, ELEMENT_SAMPLES[ELEMENT_TYPES.OCCUPIABLE], { elementType: ELEMENT_TYPES.OCCUPIABLE, accumSide })] }
+  )).elements[0].accumSide;
+
+  assert.equal(encodeOcc(-1), -1);
+  assert.equal(encodeOcc(1), 1);
+  assert.equal(encodeOcc(-5), -1);
+  assert.equal(encodeOcc(5), 1);
+  near(encodeOcc(0), 0, 1 / 255, 'accumSide 0');
+
+  const transient = (x, y) => Protocol.decode(DIRECTION.TO_CLIENT, Protocol.encode(
+    DIRECTION.TO_CLIENT, OPCODES.TRANSIENT_ELEMENT, { type: 0, x, y }, ROOM), ROOM);
+  const outside = transient(-1e6, 1e6);
+  assert.equal(outside.x, -ROOM.width / 2);
+  assert.equal(outside.y, ROOM.height * 1.5);
+
+  const fishRatio = tuskRatio => roundTrip(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS,
+    { time: 0, elements: [fish({ tuskRatio, invincibleDur: 9 })] }).elements[0];
+  assert.equal(fishRatio(3).tuskRatio, 2);
+  assert.equal(fishRatio(3).invincibleDur, 2);
+  assert.equal(fishRatio(-1).tuskRatio, 0);
+});
+
+test('los nombres no ASCII sobreviven la ida y vuelta', () => {
+  for (const name of ['José', 'Ñandú 🐋', '名前', 'a%20b', '']) {
+    const start = roundTrip(DIRECTION.TO_SERVER, OPCODES.START, { skincode: 1, colorcode: 2, name });
+    assert.equal(start.name, name);
+    const { elements: [decoded] } = roundTrip(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS, { time: 0, elements: [fish({ name })] });
+    assert.equal(decoded.name, name);
+  }
+});
+
+test('un paquete truncado lanza RangeError', () => {
+  assert.throws(() => Protocol.decode(DIRECTION.TO_SERVER, Uint8Array.of(OPCODES.START, 1)), RangeError);
+  assert.throws(() => Protocol.decode(DIRECTION.TO_SERVER, Uint8Array.of(OPCODES.HELLO, 1)), RangeError);
+});
+
+test('index.html pide protocol.js con la versión actual', () => {
+  // Evita que una copia en caché de otra versión acompañe a app.js
+  const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+  assert.match(html, new RegExp(`src="protocol\\.js\\?version=${Protocol.PROTOCOL_VERSION}"`));
+});
+
+test('CONTROLS coincide con el enum de teclas de app.js', () => {
+  const app = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
+  const names = { Up: 'UP', Down: 'DOWN', Left: 'LEFT', Right: 'RIGHT', MouseLeft: 'DASH', MouseRight: 'RETREAT' };
+  for (const [client, server] of Object.entries(names)) {
+    const [, value] = app.match(new RegExp(`\\.${client} = (\\d+)\\]`));
+    assert.equal(Protocol.CONTROLS[server], Number(value), client);
+  }
+});
+
+function capture(elements) {
+  return new Map(elements.map(element => {
+    const entry = Protocol.captureElement(element, ROOM);
+    return [entry.id, entry];
+  }));
+}
+
+function food(id, x) {
+  return Object.assign({ elementType: ELEMENT_TYPES.FOOD }, ELEMENT_SAMPLES[ELEMENT_TYPES.FOOD], { id, x });
+}
+
+test('SetElementsDelta reconstruye el snapshot desde la línea base', () => {
+  const moved = fish({ parts: fish().parts.map((part, i) => (i === 0 ? Object.assign({}, part, { x: 3300 }) : part)) });
+  const before = capture([fish(), food(10, 1), food(11, 2)]);
+  const after = capture([moved, food(11, 2), food(12, 3)]);
+
+  const { changes, removed } = Protocol.diffSnapshot(before, after);
+  assert.deepEqual(removed, [10]);
+  assert.deepEqual(changes.map(change => change.mask), [(1 << 9) | 1, (1 << ELEMENT_SCHEMA[ELEMENT_TYPES.FOOD].length) - 1]);
+
+  const bytes = Protocol.encode(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS_DELTA,
+    { time: 9, seq: 2, baseline: 1, removed, elements: changes }, ROOM);
+  const full = Protocol.encode(DIRECTION.TO_CLIENT, OPCODES.SET_ELEMENTS,
+    { time: 9, elements: Array.from(after.values()) }, ROOM);
+  assert.ok(bytes.length < full.length / 2, `${bytes.length} vs ${full.length}`);
+
+  const ctx = Object.assign(Object.create(ROOM), { snapshots: new Map([[1, before]]), capture: new Map() });
+  const decoded = Protocol.decode(DIRECTION.TO_CLIENT, bytes, ctx);
+  const byId = list => list.slice().sort((a, b) => a.id - b.id);
+  assert.deepEqual(byId(decoded.elements), byId(Protocol.decode(DIRECTION.TO_CLIENT, full, ROOM).elements));
+  assert.deepEqual(Array.from(ctx.capture.keys()).sort(), Array.from(after.keys()).sort());
+
+  // La captura reconstruida sirve de base para el siguiente delta
+  const next = Protocol.diffSnapshot(ctx.capture, after);
+  assert.equal(next.changes.length + next.removed.length, 0);
+
+  const orphan = Object.assign(Object.create(ROOM), { snapshots: new Map() });
+  assert.throws(() => Protocol.decode(DIRECTION.TO_CLIENT, bytes, orphan), /Línea base desconocida/);
+});
+
+test('los números de secuencia comparan con vuelta en u16', () => {
+  assert.equal(Protocol.isNewerSeq(2, 1), true);
+  assert.equal(Protocol.isNewerSeq(1, 2), false);
+  assert.equal(Protocol.isNewerSeq(3, 3), false);
+  assert.equal(Protocol.isNewerSeq(0, 0xFFFF), true);
+  assert.equal(Protocol.isNewerSeq(0xFFFF, 0), false);
+});
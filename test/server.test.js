@@ -0,0 +1,527 @@
+// Pruebas de la lógica de juego del servidor (websocket_test.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Protocol = require('../protocol');
+const {
+  CONFIG,
+  InputValidator,
+  IdAllocator,
+  Player,
+  GameRoom,
+  ZONE_BENEFITS,
+  PlatformMode,
+  NarwhaleGameServer
+} = require('../websocket_test');
+const { TileMap } = require('../tilemap');
+
+const { OPCODES, DIRECTION, DECORATIONS, MATCH_STATES, CONTROLS } = Protocol;
+
+const OPTIONS = { width: 6400, height: 6400, cellWidth: 1280, fieldType: 0, quantize: true };
+
+// Sala suelta registrada como única del servidor (Player la busca en global.gameServer)
+function createRoom(options = {}, extra = {}) {
+  const room = new GameRoom(Object.assign({ id: 0, name: 'Prueba', options: Object.assign({}, OPTIONS, options) }, extra));
+  global.gameServer = { rooms: new Map([[0, room]]) };
+  return room;
+}
+
+function fakeSocket(playerId) {
+  return { playerId, readyState: 1, sent: [], send(data) { this.sent.push(data); } };
+}
+
+function join(room, id) {
+  const player = new Player(id, fakeSocket(id), `p${id}`);
+  room.addPlayer(player);
+  player.invincibleDur = 0;
+  return player;
+}
+
+// Cabeza en (x, y) mirando a angle, con el cuerpo estirado detrás
+function place(player, x, y, angle) {
+  player.pos.x = x;
+  player.pos.y = y;
+  player.angle = angle;
+  player.parts.forEach((part, i) => {
+    part.x = x - Math.cos(angle) * i * 20;
+    part.y = y - Math.sin(angle) * i * 20;
+    part.rot = angle;
+  });
+}
+
+function received(player, opcode) {
+  return player.socket.sent
+    .filter(data => data[0] === opcode)
+    .map(data => Protocol.decode(DIRECTION.TO_CLIENT, data, OPTIONS));
+}
+
+function run(room, seconds) {
+  for (let tick = Math.round(seconds * 60); tick > 0; tick--) room.update(1 / 60);
+}
+
+test('un id liberado dos veces sólo se reutiliza una vez', () => {
+  const delay = CONFIG.idRecycleDelay;
+  CONFIG.idRecycleDelay = 0;
+  try {
+    const ids = new IdAllocator();
+    const id = ids.allocate();
+    ids.release(id);
+    ids.release(id);
+    assert.equal(ids.allocate(), id);
+    assert.notEqual(ids.allocate(), id);
+
+    // Vuelto a entregar, se puede liberar otra vez
+    ids.release(id);
+    assert.equal(ids.allocate(), id);
+  } finally {
+    CONFIG.idRecycleDelay = delay;
+  }
+});
+
+test('la punta del colmillo mata al tocar el cuerpo, salvo con invencibilidad', () => {
+  const room = createRoom();
+  const attacker = join(room, 1);
+  const victim = join(room, 2);
+  place(attacker, 1000, 1000, 0);
+  place(victim, 1184, 1000, 0); // la punta (1084) cae sobre su sexta parte
+
+  victim.invincibleDur = 1;
+  room.checkCollisions();
+  assert.equal(victim.isAlive, true);
+
+  victim.invincibleDur = 0;
+  room.checkCollisions();
+  assert.equal(victim.isAlive, false);
+  assert.equal(attacker.isAlive, true);
+  assert.equal(attacker.kills, 1);
+  assert.equal(received(victim, OPCODES.RIP).length, 1);
+});
+
+test('si los colmillos se cruzan rebotan y se parte el más débil', () => {
+  const room = createRoom();
+  const weak = join(room, 1);
+  const strong = join(room, 2);
+  place(weak, 1000, 1000, 0);
+  place(strong, 1168, 1000, Math.PI);
+  strong.size = 60;
+  const parts = weak.parts.length;
+
+  room.checkCollisions();
+  assert.equal(weak.isAlive && strong.isAlive, true);
+  assert.ok(weak.vel.x < 0 && strong.vel.x > 0);
+  assert.equal(weak.parts.length, parts - 1);
+  assert.equal(weak.breakPoint, weak.parts.length - CONFIG.brokenTailParts + 1);
+  assert.equal(weak.tuskRatio, CONFIG.brokenTuskRatio);
+  assert.equal(strong.breakPoint, strong.parts.length);
+});
+
+test('un choque contra un colmillo invencible no rompe ni rebota a nadie', () => {
+  const room = createRoom();
+  const weak = join(room, 1);
+  const strong = join(room, 2);
+  place(weak, 1000, 1000, 0);
+  place(strong, 1168, 1000, Math.PI);
+  strong.size = 60;
+  weak.invincibleDur = 1;
+  const parts = weak.parts.length;
+
+  room.checkCollisions();
+  assert.equal(weak.vel.x, 0);
+  assert.equal(strong.vel.x, 0);
+  assert.equal(weak.parts.length, parts);
+  assert.equal(weak.breakPoint, weak.parts.length);
+});
+
+test('quien muere en un tick ya no mata en el mismo tick', () => {
+  const room = createRoom();
+  const a = join(room, 1);
+  const b = join(room, 2);
+  const c = join(room, 3);
+  place(a, 1000, 1000, 0);
+  place(b, 1184, 1000, 0); // a mata a b
+  place(c, 1452, 1000, 0); // la punta de b cae sobre c
+
+  room.checkCollisions();
+  assert.equal(b.isAlive, false);
+  assert.equal(c.isAlive, true);
+});
+
+test('combat: "size" mantiene la regla antigua del tamaño', () => {
+  const room = createRoom({}, { combat: 'size' });
+  const small = join(room, 1);
+  const big = join(room, 2);
+  place(small, 1000, 1000, 0);
+  place(big, 1020, 1000, 0);
+  big.size = 60;
+
+  room.checkCollisions();
+  assert.equal(small.isAlive, false);
+  assert.equal(big.isAlive, true);
+});
+
+test('una bomba mata cerca, empuja lejos y avisa con SmokeExplosion', () => {
+  const room = createRoom({}, { bombs: 1 });
+  const [bomb] = room.bombs;
+  const near = join(room, 1);
+  const far = join(room, 2);
+  place(near, bomb.x + 100, bomb.y, 0);
+  place(far, bomb.x + 400, bomb.y, 0);
+
+  room.explode(bomb, [near, far]);
+  assert.equal(near.isAlive, false);
+  assert.equal(far.isAlive, true);
+  assert.ok(far.vel.x > 0);
+  assert.equal(room.bombs.length, 0);
+  assert.deepEqual(room.bombRespawns, [CONFIG.bombRespawnTime]);
+
+  const [smoke] = received(far, OPCODES.TRANSIENT_ELEMENT);
+  assert.equal(smoke.type, Protocol.TRANSIENT_TYPES.SMOKE_EXPLOSION);
+});
+
+test('Team Deathmatch: sin fuego amigo y cada muerte enemiga puntúa', () => {
+  const room = createRoom({ fieldType: 4, hasIndicator: true, hasSlowFactor: true });
+  const players = [1, 2, 3, 4].map(id => join(room, id));
+  const attacker = players[0];
+  const mate = players.find(p => p !== attacker && p.team === attacker.team);
+  const enemy = players.find(p => p.team !== attacker.team);
+  for (const player of players) place(player, 5000, 5000, 0);
+
+  place(attacker, 1000, 1000, 0);
+  place(mate, 1184, 1000, 0);
+  room.checkCollisions();
+  assert.equal(mate.isAlive, true);
+
+  place(mate, 5000, 5000, 0);
+  place(enemy, 1184, 1000, 0);
+  room.checkCollisions();
+  assert.equal(enemy.isAlive, false);
+  assert.equal(room.mode.scores[attacker.team], 1);
+  assert.equal(room.mode.scores[enemy.team], 0);
+});
+
+test('Narwhale Ball! no tiene comida ni muertes', () => {
+  const room = createRoom({ fieldType: 1, height: 3840, hasIndicator: true, hasSlowFactor: true });
+  assert.equal(room.foods.length, 0);
+  assert.equal(room.allowsKills(), false);
+  assert.deepEqual(room.mode.indicator(), room.mode.ball);
+});
+
+test('cada nivel nuevo da una mejora y la anuncia con PlayerInfo', () => {
+  const room = createRoom();
+  const player = join(room, 1);
+  player.score = 250;
+  player.updateSize();
+
+  const [info] = received(player, OPCODES.PLAYER_INFO).slice(-1);
+  assert.equal(info.level, 3);
+  assert.equal(info.upgrade.length, 2);
+  assert.equal(player.upgrades.reduce((a, b) => a + b, 0), 2);
+});
+
+test('bajar de nivel sólo pone al día el nivel y recuperarlo no da otra mejora', () => {
+  const room = createRoom();
+  const player = join(room, 1);
+  player.score = 250;
+  player.updateSize();
+  const sent = received(player, OPCODES.PLAYER_INFO).length;
+
+  player.score = 180;
+  player.updateSize();
+  player.score = 250;
+  player.updateSize();
+
+  const infos = received(player, OPCODES.PLAYER_INFO).slice(sent);
+  assert.deepEqual(infos.map(info => [info.level, info.upgrade.length]), [[2, 0], [3, 0]]);
+  assert.equal(player.upgrades.reduce((a, b) => a + b, 0), 2);
+
+  player.updateSize();
+  assert.equal(received(player, OPCODES.PLAYER_INFO).length, sent + 2);
+});
+
+test('la retirada empuja hacia atrás, gasta dash y da evasión; Enhanced Retreat la refuerza', () => {
+  const room = createRoom({ fieldType: 4 });
+  const player = join(room, 1);
+  const validator = new InputValidator();
+  place(player, 3000, 3000, 0);
+
+  assert.equal(player.useRetreat(validator, room), true);
+  assert.equal(player.vel.x, -CONFIG.retreatPower);
+  assert.equal(player.curDash, player.maxDash - 1);
+  assert.equal(player.invincibleDur, CONFIG.retreatEvasion);
+  assert.equal(player.useRetreat(validator, room), false); // spam
+
+  const zone = room.mode.zones.find(z => z.benefit === ZONE_BENEFITS.ENHANCED_RETREAT);
+  zone.curSide = player.team === 1 ? 1 : -1;
+  player.vel.x = 0;
+  player.lastDashTime = 0;
+  assert.equal(player.useRetreat(validator, room), true);
+  assert.equal(player.vel.x, -CONFIG.retreatPower * CONFIG.zoneRetreatBonus);
+});
+
+test('SplitUp cobra dash y puntos, respeta el cooldown y rechaza lo inválido', () => {
+  const room = createRoom();
+  const player = join(room, 1);
+  const validator = new InputValidator();
+  place(player, 3000, 3000, 0);
+  const reset = () => { player.lastDashTime = player.lastSplitUpTime = 0; };
+
+  assert.equal(player.useSplitUp(0, 1, validator), false); // sin puntos
+  player.score = 150;
+  player.updateSize();
+  player.curDash = player.maxDash; // la mejora del nivel 2 puede ser Stamina Up
+
+  assert.equal(player.useSplitUp(NaN, 1, validator), false);
+  assert.equal(player.useSplitUp(0, 0, validator), false);
+  assert.equal(player.curDash, player.maxDash);
+
+  assert.equal(player.useSplitUp(0, 1, validator), true);
+  assert.equal(player.curDash, player.maxDash - CONFIG.splitUpDashCost);
+  assert.equal(player.score, 150 - CONFIG.splitUpScoreCost);
+  assert.equal(player.level, 2);
+  assert.ok(Math.abs(player.angle - Math.PI / 2) < 1e-9);
+  assert.ok(Math.abs(player.vel.y - CONFIG.splitUpPower) < 1e-9);
+
+  player.curDash = player.maxDash;
+  player.lastDashTime = 0;
+  assert.equal(player.useSplitUp(0, 1, validator), false); // cooldown
+
+  reset();
+  player.curDash = CONFIG.splitUpDashCost - 1;
+  assert.equal(player.useSplitUp(0, 1, validator), false); // sin dash suficiente
+
+  reset();
+  player.curDash = player.maxDash;
+  assert.equal(player.useSplitUp(1, 0, validator), true);
+  assert.equal(player.score, 150 - 2 * CONFIG.splitUpScoreCost);
+});
+
+test('UpdateTarget es una dirección relativa con seq; el giro está limitado por turnRate', () => {
+  const room = createRoom();
+  const player = join(room, 1);
+  const validator = new InputValidator();
+  place(player, 3000, 3000, 0);
+
+  assert.equal(player.setTarget(0, 2, 10, validator), true);
+  assert.equal(player.setTarget(0, -2, 9, validator), false); // más viejo
+  assert.equal(player.setTarget(Number.NaN, 0, 11, validator), false);
+  assert.deepEqual([player.steerX, player.steerY, player.throttle], [0, 1, 1]);
+
+  run(room, 0.1);
+  assert.ok(player.angle > 0 && player.angle <= player.turnRate * 0.11);
+  run(room, 1);
+  assert.ok(Math.abs(player.angle - Math.PI / 2) < 1e-6);
+  assert.ok(player.pos.y > 3000);
+
+  // seq con vuelta
+  player.inputSequence = 65535;
+  assert.equal(player.setTarget(1, 0, 0, validator), true);
+});
+
+test('las flechas mandan sobre el ratón mientras están pulsadas', () => {
+  const room = createRoom();
+  const player = join(room, 1);
+  place(player, 3000, 3000, 0);
+  player.setTarget(1, 0, 1, new InputValidator());
+
+  player.inputFlags = CONTROLS.UP | CONTROLS.LEFT;
+  const { x, y } = player.keyDirection();
+  assert.ok(Math.abs(x + Math.SQRT1_2) < 1e-9 && Math.abs(y + Math.SQRT1_2) < 1e-9);
+  run(room, 1);
+  assert.ok(Math.abs(player.angle + 3 * Math.PI / 4) < 1e-6);
+
+  player.inputFlags = CONTROLS.UP | CONTROLS.DOWN;
+  assert.deepEqual(player.keyDirection(), { x: 0, y: 0 });
+  player.inputFlags = 0;
+  assert.equal(player.keyDirection(), null);
+});
+
+test('la corona va al que más puntos tiene y no salta en un empate', () => {
+  const room = createRoom();
+  const [a, b] = [1, 2].map(id => join(room, id));
+  room.updateDecorations();
+  assert.equal(a.decoration | b.decoration, 0);
+
+  b.score = 50;
+  room.updateDecorations();
+  assert.equal(b.decoration, DECORATIONS.CROWN);
+  a.score = 50;
+  room.updateDecorations();
+  assert.equal(b.decoration, DECORATIONS.CROWN);
+  assert.equal(a.decoration, 0);
+});
+
+test('decorations por sala: racha y capitanes por equipo', () => {
+  const room = createRoom({ fieldType: 4 }, { decorations: ['streak', 'captain'] });
+  const players = [1, 2, 3, 4].map(id => join(room, id));
+  players.forEach((player, i) => { player.score = 10 * (i + 1); });
+  players[0].streak = CONFIG.killStreak;
+  room.updateDecorations();
+
+  for (const team of [0, 1]) {
+    const members = players.filter(p => p.team === team);
+    const best = members.reduce((a, b) => (b.score > a.score ? b : a));
+    assert.ok(best.decoration & DECORATIONS.CAPTAIN);
+  }
+  assert.ok(players[0].decoration & DECORATIONS.KILL_STREAK);
+  assert.ok(players.every(p => !(p.decoration & DECORATIONS.CROWN)));
+});
+
+test('ciclo de partida: espera jugadores, ronda, ganador, descanso y reinicio', () => {
+  const match = { warmup: 1, round: 2, roundEnd: 1, intermission: 1, minPlayers: 2 };
+  const room = createRoom({}, { match });
+  const a = join(room, 1);
+  run(room, 2);
+  assert.equal(room.match.state, MATCH_STATES.WARMUP);
+  assert.equal(received(a, OPCODES.MATCH_STATE).pop().remaining, 0);
+
+  const b = join(room, 2);
+  a.score = 500; // los puntos del calentamiento no cuentan
+  run(room, 1.1);
+  assert.equal(room.match.state, MATCH_STATES.ROUND);
+  assert.equal(a.score, 0);
+
+  b.score = 70;
+  run(room, 2);
+  assert.equal(room.match.state, MATCH_STATES.ROUND_END);
+  assert.equal(room.allowsKills(), false);
+  const end = received(a, OPCODES.MATCH_STATE).pop();
+  assert.equal(end.winner, 'p2');
+  assert.equal(end.winTeam, -1);
+
+  run(room, 2.1);
+  assert.equal(room.match.state, MATCH_STATES.WARMUP);
+  assert.equal(b.score, 0);
+});
+
+test('la cámara lenta no frena el reloj de la partida', () => {
+  const match = { warmup: 1, round: 60, roundEnd: 1, intermission: 1, minPlayers: 1 };
+  const room = createRoom({ fieldType: 4 }, { match });
+  const advance = seconds => {
+    for (let tick = Math.round(seconds * 60); tick > 0; tick--) room.advance(1 / 60);
+  };
+  join(room, 1);
+  advance(1.05);
+  assert.equal(room.match.state, MATCH_STATES.ROUND);
+
+  const remaining = room.match.remaining;
+  room.mode.slowFactor = CONFIG.goalSlowFactor;
+  advance(0.5);
+  assert.ok(Math.abs(remaining - room.match.remaining - 0.5) < 0.05);
+});
+
+test('con partida, el marcador por equipos sólo se reinicia al empezar otra ronda', () => {
+  const match = { warmup: 1, round: 60, roundEnd: 1, intermission: 1, minPlayers: 1 };
+  const room = createRoom({ fieldType: 4 }, { match });
+  const player = join(room, 1);
+  run(room, 1.1);
+  assert.equal(room.match.state, MATCH_STATES.ROUND);
+
+  room.mode.score(0, CONFIG.teamDeathmatchWinKills);
+  run(room, 0.1);
+  assert.equal(room.match.state, MATCH_STATES.ROUND_END);
+
+  // Acaba la cámara lenta: ni se borra el marcador ni reaparece nadie
+  const { x, y } = player.pos;
+  room.mode.celebrationEnd = 1;
+  run(room, 0.1);
+  assert.equal(room.mode.slowFactor, 1);
+  assert.deepEqual(room.mode.scores, [CONFIG.teamDeathmatchWinKills, 0]);
+  assert.equal(room.mode.winner, 0);
+  assert.ok(Math.abs(player.pos.x - x) < 50 && Math.abs(player.pos.y - y) < 50);
+
+  room.mode.score(1, 1); // ronda decidida
+  assert.deepEqual(room.mode.scores, [CONFIG.teamDeathmatchWinKills, 0]);
+
+  run(room, 2.1);
+  assert.equal(room.match.state, MATCH_STATES.WARMUP);
+  assert.deepEqual(room.mode.scores, [0, 0]);
+  assert.equal(room.mode.winner, -1);
+});
+
+test('el servidor lee los bits de Input: dash y retirada', () => {
+  const server = new NarwhaleGameServer();
+  const room = server.rooms.get(0);
+  const player = new Player(1, fakeSocket(1), 'p1');
+  server.players.set(1, player);
+  room.addPlayer(player);
+  place(player, 3000, 3000, 0);
+
+  server.handleInput(player.socket, { control: CONTROLS.RETREAT });
+  assert.equal(player.curDash, player.maxDash - 1);
+  assert.ok(player.vel.x < 0);
+  assert.equal(player.inputFlags, CONTROLS.RETREAT);
+
+  // Mantener el bit no repite la retirada; soltarlo y volver a pulsar, sí
+  player.lastDashTime = 0;
+  server.handleInput(player.socket, { control: CONTROLS.RETREAT });
+  assert.equal(player.curDash, player.maxDash - 1);
+  server.handleInput(player.socket, { control: 0 });
+  server.handleInput(player.socket, { control: CONTROLS.RETREAT });
+  assert.equal(player.curDash, player.maxDash - 2);
+});
+
+test('GetStats cuenta todas las entidades y mide el ritmo del bucle', () => {
+  const server = new NarwhaleGameServer();
+  for (let i = 0; i < 40; i++) server.stats.recordTick(1);
+  server.stats.windowStart = Date.now() - 2000;
+
+  const stats = server.stats.snapshot(server);
+  assert.ok(Math.abs(stats.tickRate - 20) < 0.5);
+
+  const sparse = stats.rooms.find(room => room.id === 2);
+  assert.equal(sparse.entities.bombs, 6);
+  const ball = stats.rooms.find(room => room.id === 5);
+  assert.equal(ball.entities.balls, 1);
+  const eggs = stats.rooms.find(room => server.rooms.get(room.id).mode.eggs);
+  assert.equal(eggs.entities.eggs, CONFIG.eggCount);
+  const zones = stats.rooms.find(room => server.rooms.get(room.id).mode.zones);
+  assert.equal(zones.entities.zones, Object.keys(ZONE_BENEFITS).length);
+});
+
+test('Auto Scores vuelve a contar el intervalo entero tras reanudar', () => {
+  const room = createRoom({ fieldType: 4 });
+  const zone = room.mode.zones.find(z => z.benefit === ZONE_BENEFITS.AUTO_SCORES);
+  zone.curSide = zone.accumSide = -1; // del equipo 0
+
+  run(room, CONFIG.zoneAutoScoreInterval - 0.5);
+  room.mode.resume(false);
+  run(room, 1);
+  assert.deepEqual(room.mode.scores, [0, 0]);
+
+  run(room, CONFIG.zoneAutoScoreInterval - 0.9);
+  assert.deepEqual(room.mode.scores, [1, 0]);
+});
+
+// 4x3 tiles de 100 px, todos sólidos salvo los que se marquen con 0
+function platformMode(solid) {
+  const map = TileMap.parse(`<?xml version="1.0" encoding="UTF-8"?>
+<map version="1.2" orientation="orthogonal" width="4" height="3" tilewidth="100" tileheight="100">
+ <layer id="1" name="rocks" width="4" height="3">
+  <properties><property name="collision" type="bool" value="true"/></properties>
+  <data encoding="csv">${solid}</data>
+ </layer>
+</map>`);
+  const mode = Object.create(PlatformMode.prototype);
+  mode.room = { config: { options: { width: 400, height: 300, tilemap: 'prueba.tmx' } } };
+  mode.map = map;
+  return mode;
+}
+
+test('freePoint recorre el mapa si el azar no acierta y falla claro si no hay sitio', () => {
+  // Sólo está libre el tile de la esquina, fuera del margen de los puntos al azar
+  const corner = platformMode('0,1,1,1,1,1,1,1,1,1,1,1');
+  assert.deepEqual(corner.foodPoint(), { x: 50, y: 50 });
+
+  const full = platformMode('1,1,1,1,1,1,1,1,1,1,1,1');
+  assert.throws(() => full.foodPoint(), /prueba\.tmx no tiene sitio libre/);
+});
+
+test('las velocidades cuantizadas llegan a lo más rápido que hace el servidor', () => {
+  const room = createRoom();
+  const player = join(room, 1);
+  player.upgrades = player.upgrades.map(() => 5);
+  player.applyUpgrades();
+
+  const fastest = Math.max(player.maxSpeed + player.dashPower, CONFIG.splitUpPower, CONFIG.tuskClashBounce) +
+    CONFIG.bombKnockback;
+  assert.ok(fastest <= Protocol.QUANTIZED_MAX_SPEED, `${fastest} > ${Protocol.QUANTIZED_MAX_SPEED}`);
+});
@@ -0,0 +1,64 @@
+// Pruebas del lector de mapas TMX (tilemap.js).
+const path = require('node:path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TileMap } = require('../tilemap');
+
+// 4x3 tiles de 100 px: pared en la columna 2 de la fila 1; la decoración no choca
+function tmx({ encoding = 'csv', solid = '0,0,0,0,\n0,0,1,0,\n0,0,0,0' } = {}) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<map version="1.2" orientation="orthogonal" width="4" height="3" tilewidth="100" tileheight="100">
+ <tileset firstgid="1" name="t" tilewidth="100" tileheight="100"><image source="t.png" width="200" height="100"/></tileset>
+ <layer id="1" name="rocks" width="4" height="3">
+  <properties><property name="collision" type="bool" value="true"/></properties>
+  <data encoding="${encoding}">${solid}</data>
+ </layer>
+ <layer id="2" name="char" width="4" height="3"><data encoding="csv">0,0,0,0,0,0,0,0,0,0,0,0</data></layer>
+ <layer id="3" name="seaweed" width="4" height="3"><data encoding="csv">2,2,2,2,2,2,2,2,2,2,2,2</data></layer>
+</map>`;
+}
+
+test('lee capas CSV y sólo las de colisión son sólidas', () => {
+  const map = TileMap.parse(tmx());
+  assert.equal(map.pixelWidth, 400);
+  assert.equal(map.pixelHeight, 300);
+  assert.deepEqual(map.layers.map(l => l.name), ['rocks', 'char', 'seaweed']);
+  assert.equal(map.isSolid(2, 1), true);
+  assert.equal(map.isSolid(1, 1), false);
+  assert.equal(map.isSolid(-1, 0), true); // fuera del mapa
+  assert.equal(map.isFree(150, 150, 40), true);
+  assert.equal(map.isFree(180, 150, 40), false);
+
+  // Los bits de volteo de Tiled no cambian qué tile es
+  const flipped = TileMap.parse(tmx({ solid: '0,0,0,0,0,0,2147483649,0,0,0,0,0' }));
+  assert.equal(flipped.isSolid(2, 1), true);
+});
+
+test('saca un círculo de la pared y da la normal', () => {
+  const map = TileMap.parse(tmx());
+  assert.equal(map.resolveCircle(150, 150, 40), null);
+
+  const side = map.resolveCircle(180, 150, 40);
+  assert.equal(side.x, 160);
+  assert.equal(side.y, 150);
+  assert.deepEqual([side.nx, side.ny], [-1, 0]);
+
+  // Con el centro dentro del tile sale por el lado más cercano
+  const inside = map.resolveCircle(250, 105, 10);
+  assert.equal(inside.y, 90);
+  assert.deepEqual([inside.nx, inside.ny], [0, -1]);
+});
+
+test('rechaza lo que el servidor no sabe leer', () => {
+  assert.throws(() => TileMap.parse(tmx({ encoding: 'base64' })), /encoding="csv"/);
+  assert.throws(() => TileMap.parse(tmx({ solid: '0,0,1' })), /3 tiles/);
+  assert.throws(() => TileMap.parse('<tileset/>'), /sin <map>/);
+});
+
+test('img/tileMap.tmx encaja con la sala Platform', () => {
+  const map = TileMap.load(path.join(__dirname, '..', 'img', 'tileMap.tmx'));
+  assert.equal(map.pixelWidth, 6400);
+  assert.equal(map.pixelHeight, 3840);
+  assert.ok(map.layers.some(l => l.name === 'char'), 'el cliente parte las capas por "char"');
+  assert.ok(map.layers.some(l => l.properties.collision === 'true'));
+});
@@ -0,0 +1,155 @@
+// ==================== MAPAS TMX ====================
+// Lector de los mapas de Tiled que pinta la escena Platform del cliente
+// (img/*.tmx). Sólo lo que usa el servidor: mapa ortogonal y capas de tiles en
+// CSV. Las capas con la propiedad collision=true son paredes; las demás son
+// decoración. Todo tile distinto de 0 en una capa de colisión es sólido.
+const fs = require('fs');
+
+// Bits de volteo de Tiled en los gid
+const GID_MASK = 0x1FFFFFFF;
+
+function attributes(tag) {
+  const attrs = {};
+  for (const [, name, value] of tag.matchAll(/([\w:-]+)="([^"]*)"/g)) attrs[name] = value;
+  return attrs;
+}
+
+class TileMap {
+  constructor(width, height, tileWidth, tileHeight, layers) {
+    this.width = width;
+    this.height = height;
+    this.tileWidth = tileWidth;
+    this.tileHeight = tileHeight;
+    this.layers = layers;
+
+    this.solid = new Uint8Array(width * height);
+    for (const layer of layers) {
+      if (layer.properties.collision !== 'true') continue;
+      layer.tiles.forEach((gid, i) => {
+        if (gid) this.solid[i] = 1;
+      });
+    }
+  }
+
+  static load(file) {
+    return TileMap.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  static parse(xml) {
+    const mapTag = xml.match(/<map\b[^>]*>/);
+    if (!mapTag) throw new Error('TMX sin <map>');
+    const map = attributes(mapTag[0]);
+    if (map.orientation !== 'orthogonal') throw new Error(`Orientación no soportada: ${map.orientation}`);
+
+    const width = Number(map.width);
+    const height = Number(map.height);
+    const layers = [];
+    for (const [, tag, body] of xml.matchAll(/<layer\b([^>]*)>([\s\S]*?)<\/layer>/g)) {
+      const { name } = attributes(tag);
+      const properties = {};
+      for (const [, property] of body.matchAll(/<property\b([^>]*)>/g)) {
+        const { name: key, value } = attributes(property);
+        properties[key] = value;
+      }
+
+      const data = body.match(/<data\b([^>]*)>([\s\S]*?)<\/data>/);
+      if (!data || attributes(data[1]).encoding !== 'csv') {
+        throw new Error(`Capa ${name}: sólo se admite encoding="csv"`);
+      }
+      const tiles = data[2].split(',').map(gid => Number(gid.trim()) & GID_MASK);
+      if (tiles.length !== width * height) {
+        throw new Error(`Capa ${name}: ${tiles.length} tiles para un mapa de ${width}x${height}`);
+      }
+      layers.push({ name, properties, tiles });
+    }
+
+    return new TileMap(width, height, Number(map.tilewidth), Number(map.tileheight), layers);
+  }
+
+  get pixelWidth() {
+    return this.width * this.tileWidth;
+  }
+
+  get pixelHeight() {
+    return this.height * this.tileHeight;
+  }
+
+  // Fuera del mapa también es pared
+  isSolid(col, row) {
+    if (col < 0 || row < 0 || col >= this.width || row >= this.height) return true;
+    return this.solid[row * this.width + col] === 1;
+  }
+
+  // ¿Cabe un círculo en (x, y) sin tocar ningún tile sólido?
+  isFree(x, y, radius) {
+    const minCol = Math.floor((x - radius) / this.tileWidth);
+    const maxCol = Math.floor((x + radius) / this.tileWidth);
+    const minRow = Math.floor((y - radius) / this.tileHeight);
+    const maxRow = Math.floor((y + radius) / this.tileHeight);
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        if (this.isSolid(col, row)) return false;
+      }
+    }
+    return true;
+  }
+
+  // Saca un círculo de los tiles sólidos que pisa. Devuelve la posición
+  // corregida y la normal media del choque, o null si no toca nada.
+  resolveCircle(x, y, radius) {
+    const minCol = Math.floor((x - radius) / this.tileWidth);
+    const maxCol = Math.floor((x + radius) / this.tileWidth);
+    const minRow = Math.floor((y - radius) / this.tileHeight);
+    const maxRow = Math.floor((y + radius) / this.tileHeight);
+    let nx = 0;
+    let ny = 0;
+    let hit = false;
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        if (!this.isSolid(col, row)) continue;
+
+        const left = col * this.tileWidth;
+        const top = row * this.tileHeight;
+        const right = left + this.tileWidth;
+        const bottom = top + this.tileHeight;
+        const closestX = Math.max(left, Math.min(x, right));
+        const closestY = Math.max(top, Math.min(y, bottom));
+        let dx = x - closestX;
+        let dy = y - closestY;
+        let distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance >= radius) continue;
+
+        if (distance === 0) {
+          // Centro dentro del tile: sale por el lado más cercano que dé a un hueco
+          const exits = [
+            [x - left, -1, 0, this.isSolid(col - 1, row)],
+            [right - x, 1, 0, this.isSolid(col + 1, row)],
+            [y - top, 0, -1, this.isSolid(col, row - 1)],
+            [bottom - y, 0, 1, this.isSolid(col, row + 1)]
+          ].filter(exit => !exit[3]);
+          if (exits.length === 0) continue;
+          const [depth, ex, ey] = exits.reduce((best, exit) => (exit[0] < best[0] ? exit : best));
+          dx = ex;
+          dy = ey;
+          distance = -depth;
+        } else {
+          dx /= distance;
+          dy /= distance;
+        }
+
+        x += dx * (radius - distance);
+        y += dy * (radius - distance);
+        nx += dx;
+        ny += dy;
+        hit = true;
+      }
+    }
+
+    if (!hit) return null;
+    const length = Math.sqrt(nx * nx + ny * ny) || 1;
+    return { x, y, nx: nx / length, ny: ny / length };
+  }
+}
+
+module.exports = { TileMap };
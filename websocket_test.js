@@ -1,9 +1,17 @@
+const fs = require('fs');
+const path = require('path');
 const WebSocket = require('ws');
+const Protocol = require('./protocol');
+const { TileMap } = require('./tilemap');
+
+const { OPCODES, ELEMENT_TYPES, TRANSIENT_TYPES, CONTROLS, DECORATIONS, MATCH_STATES, DIRECTION, CAPABILITIES, INVALID_REASONS } = Protocol;
 
 // ==================== CONFIGURACIÓN ====================
 const CONFIG = {
   port: 3000,
-  tickRate: 60,
+  tickRate: 60,      // pasos de simulación por segundo
+  snapshotRate: 20,  // snapshots por segundo; las salas pueden cambiar ambos
+  maxCatchUpTicks: 5, // pasos como mucho por vuelta del loop si el servidor se retrasa
   worldWidth: 6400,
   worldHeight: 6400,
   maxPlayersPerRoom: 50,
@@ -18,42 +26,140 @@ const CONFIG = {
   friction: 0.95,
   acceleration: 200,
   dashPower: 300,
+  dashRegenRate: 0.6,  // cargas por segundo
+  impulseTime: 0.3,    // s que un dash, retirada o embestida puede pasar de maxSpeed
+  steerDeadZone: 0.05, // UpdateTarget con menos intensidad que esto no acelera
+  retreatPower: 250,   // impulso hacia atrás de la retirada
+  retreatEvasion: 0.3, // s de invulnerabilidad tras retirarse
+  splitUpPower: 600,   // embestida (SplitUp) hacia el punto pedido
+  splitUpCooldown: 3,  // s
+  splitUpDashCost: 2,  // cargas de dash
+  splitUpScoreCost: 30,
+  turnRate: 4,         // rad/s
   collisionDamage: 100,
+  killStreak: 5,       // muertes seguidas para la decoración KILL_STREAK
+  tuskClashDistance: 8,  // colmillos más cerca que esto chocan
+  tuskClashBounce: 400,  // velocidad con que se repelen tras chocar
+  bodyParts: 11,
+  tuskRatio: 0.5,
+  brokenTuskRatio: 0.15, // colmillo partido: poco alcance hasta que vuelve a crecer
+  tuskRegrowTime: 8,     // s
+  brokenTailParts: 4,    // la cola suelta se lleva las últimas partes...
+  minPartsToBreak: 6,    // ...y cada rotura cuesta una, así que hay un mínimo
+  brokenPieceSpeed: 250,
+  brokenPieceCooldown: 1, // s antes de poder recoger el trozo
+  brokenPieceScore: 50,
+
+  // Mejoras por nivel: cuánto suma cada vez que se elige (ver UPGRADES)
+  upgradeTusk: 0.1,      // tuskRatio
+  upgradeSpeed: 0.08,    // fracción de maxSpeed
+  upgradeTurnRate: 0.15, // fracción de turnRate
+  upgradeDashPower: 0.15,
+  upgradeDashRegen: 0.2,
+  upgradeStamina: 1,     // cargas de dash
+
+  // Fútbol (fieldType 1). La pelota y las porterías miden lo que dibuja el cliente.
+  ballRadius: 250,
+  ballDamping: 0.6,    // la velocidad se divide por 1 + ballDamping * dt
+  ballBounce: 0.8,     // restitución contra paredes y narvales
+  tuskKick: 350,       // impulso extra al golpear con el colmillo
+  goalSlowFactor: 4,   // cámara lenta tras un gol
+  goalCelebration: 3000, // ms hasta volver a sacar
+  soccerWinScore: 5,
+
+  // Bombas (salas con bombs en ROOMS_CONFIG)
+  bombRadius: 60,
+  bombFuse: 6,           // s desde que alguien la toca hasta que estalla
+  bombImpactSpeed: 450,  // activada y más rápida que esto, estalla al chocar
+  bombKillRadius: 250,
+  bombBlastRadius: 600,  // la explosión del cliente mide unos 1800x1200 px
+  bombKnockback: 900,
+  bombRespawnTime: 10,   // s hasta que aparece otra
+
+  // Caza de huevos (fieldType 3)
+  eggCount: 24,
+  eggRadius: 70,       // huevo de tamaño 0 (egg.json: 193x256 a escala 0.6)
+  eggCarryLimit: 3,    // huevos ensartados a la vez en un colmillo
+  eggSpacing: 40,      // separación entre huevos ensartados
+  eggDropSpeed: 300,   // velocidad con la que salen despedidos al perderlos
+  eggDropCooldown: 1000, // ms en que quien los pierde no puede volver a cogerlos
+  eggWinScore: 30,
+
+  // Todos contra todos por equipos (fieldType 4)
+  teamDeathmatchWinKills: 20,
+  zoneCaptureTime: 8,    // s para pasar de neutral a capturada
+  zoneAutoScoreInterval: 5, // s entre los puntos de "Auto Scores"
+  zoneDashBonus: 2,      // multiplica la recarga de dash con "Bonus Dash"
+  zoneRetreatBonus: 1.5, // multiplica la retirada con "Enhanced Retreat"
+
+  // Plataformas (fieldType 2)
+  freePointAttempts: 200, // puntos al azar antes de recorrer el mapa tile a tile
+
+  // Protocolo
+  serverCapabilities: CAPABILITIES.FOOD | CAPABILITIES.DELTA,
+  requiredCapabilities: 0, // sin FOOD se omite la comida en SetElements
+
+  // Snapshots delta (clientes con CAPABILITIES.DELTA)
+  keyframeInterval: 2000, // ms entre snapshots completos
+  snapshotHistory: 64,    // capturas guardadas por cliente a la espera de ACK
+
+  // Área de interés: mitad de lo que muestra el cliente (defaultWidth / viewScale / 2,
+  // igual en vertical para cubrir pantallas giradas) más un margen para que lo que
+  // entra en pantalla ya esté interpolando
+  viewHalfExtent: 1344,
+  viewMargin: 400,
+
+  // Un id liberado no se reutiliza hasta pasado este tiempo: los clientes y las
+  // líneas base delta aún pueden referirse a la entidad anterior
+  idRecycleDelay: 10000, // ms
+
+  // GetStats: las medias se calculan sobre la última ventana completa
+  statsWindow: 1000, // ms
+
+  // Fichero donde grabar todas las tramas (NARWHALE_RECORD=captura.jsonl npm start);
+  // se lee con decode_capture.js
+  recordTraffic: process.env.NARWHALE_RECORD || null,
 };
 
-// ==================== OPCODES ====================
-const OPCODES = {
-  // Cliente → Servidor
-  JOIN: 16,
-  LEAVE: 17,
-  START: 18,
-  GET_LOBBIES: 19,
-  UPDATE_TARGET: 32,
-  SPLIT_UP: 33,
-  RIP: 34,
-  RETREAT: 35,
-  PLAYER_UPDATE: 36,
-  PING: 37,
-  INPUT: 38,
-
-  // Servidor → Cliente
-  SET_ELEMENTS: 48,
-  PLAYER_INFO: 49,
-  LEADER_BOARD: 50,
-  TEAM_INFO: 51,
-  TRANSIENT_ELEMENT: 52
-};
+// ==================== IDENTIFICADORES ====================
+// Ids u32 únicos en todo el servidor para jugadores, comida y demás entidades.
+// El 0 no se entrega nunca.
+class IdAllocator {
+  constructor() {
+    this.next = 1;
+    this.inUse = new Set();
+    this.quarantined = new Set(); // liberados que aún no se pueden repetir
+    this.released = []; // [{ id, at }] en orden de liberación
+  }
 
-// ==================== TIPOS DE ELEMENTOS ====================
-const ELEMENT_TYPES = {
-  FISH: 0,
-  BALL: 1,
-  ATTACHABLE: 2,
-  CHARACTER: 3,
-  BOMB: 4,
-  OCCUPIABLE: 5,
-  FOOD: 6
-};
+  allocate() {
+    const now = Date.now();
+    if (this.released.length > 0 && now - this.released[0].at >= CONFIG.idRecycleDelay) {
+      const { id } = this.released.shift();
+      this.quarantined.delete(id);
+      return id;
+    }
+
+    // Al dar la vuelta se saltan los ids que siguen vivos o en cuarentena
+    while (this.next === 0 || this.inUse.has(this.next)) {
+      this.next = (this.next + 1) >>> 0;
+    }
+    const id = this.next;
+    this.next = (this.next + 1) >>> 0;
+    this.inUse.add(id);
+    return id;
+  }
+
+  // Liberar dos veces el mismo id no lo pone dos veces en la cola
+  release(id) {
+    if (!this.inUse.has(id) || this.quarantined.has(id)) return;
+    // Sigue en inUse durante la cuarentena para que allocate() no lo repita
+    this.quarantined.add(id);
+    this.released.push({ id, at: Date.now() });
+  }
+}
+
+const entityIds = new IdAllocator();
 
 // ==================== UTILIDADES MATEMÁTICAS ====================
 class Vec2 {
@@ -144,6 +250,41 @@ class InputValidator {
 
     return true;
   }
+
+  // Descarta direcciones no numéricas y los UpdateTarget que no son más
+  // nuevos que el último aceptado. La intensidad se limita al aplicarla.
+  validateSteer(player, x, y, seq) {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      console.warn(`⚠️ Dirección inválida: Player ${player.id}`);
+      return false;
+    }
+
+    if (player.inputSequence !== null && !Protocol.isNewerSeq(seq, player.inputSequence)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  // La embestida apunta en una dirección, cuesta dash y puntos y tiene su
+  // propio cooldown además del control de spam del dash
+  validateSplitUp(player, x, y) {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      console.warn(`⚠️ SplitUp con objetivo inválido: Player ${player.id}`);
+      return false;
+    }
+
+    if (player.curDash < CONFIG.splitUpDashCost || player.score < CONFIG.splitUpScoreCost) {
+      return false;
+    }
+
+    if (Date.now() - player.lastSplitUpTime < CONFIG.splitUpCooldown * 1000) {
+      console.warn(`⚠️ SplitUp en cooldown: Player ${player.id}`);
+      return false;
+    }
+
+    return this.validateDash(player);
+  }
 }
 
 // ==================== PARTE DEL NARVAL ====================
@@ -171,6 +312,26 @@ class NarwhalePart {
 }
 
 // ==================== JUGADOR ====================
+// Mejoras al subir de nivel, con los índices de translateUpgradeName del cliente
+const UPGRADES = {
+  TUSK: 0,
+  SPEED: 1,
+  TURN_RATE: 2,
+  DASH_SPEED: 3,
+  STAMINA_REGEN: 4,
+  STAMINA: 5
+};
+
+// Veces que se puede elegir cada una; maxDash viaja en 4 bits (5 + 10)
+const UPGRADE_LIMITS = {
+  [UPGRADES.TUSK]: 5,
+  [UPGRADES.SPEED]: 5,
+  [UPGRADES.TURN_RATE]: 5,
+  [UPGRADES.DASH_SPEED]: 5,
+  [UPGRADES.STAMINA_REGEN]: 5,
+  [UPGRADES.STAMINA]: 10
+};
+
 class Player {
   constructor(id, socket, name = 'Narwhal') {
     this.id = id;
@@ -180,13 +341,14 @@ class Player {
 
     // Visual
     this.color = this.randomColor();
-    this.team = Math.random() > 0.5 ? 1 : -1;
+    this.team = 0; // lo asigna el modo de la sala
     this.size = 36;
     this.alpha = 1.0;
     this.level = 1;
     this.score = 0;
     this.kills = 0;
     this.deaths = 0;
+    this.streak = 0; // muertes desde la última vez que murió
 
     // Física (AUTORIDAD DEL SERVIDOR)
     this.pos = new Vec2(CONFIG.worldWidth / 2, CONFIG.worldHeight / 2);
@@ -197,39 +359,53 @@ class Player {
 
     // Partes del cuerpo
     this.parts = [];
-    this.breakPoint = 11;
     this.initializeParts();
+    this.breakPoint = this.parts.length; // igual a la longitud: nada roto
 
-    // Habilidades
+    // Habilidades (las recalcula applyUpgrades)
     this.maxDash = 5;
     this.curDash = 5;
     this.overDash = 0;
-    this.dashRegenRate = 0.6; // por segundo
-    this.tuskRatio = 0.5;
+    this.dashRegenRate = CONFIG.dashRegenRate;
+    this.dashRegenBonus = 1; // lo pone el modo (zona "Bonus Dash")
+    this.dashPower = CONFIG.dashPower;
+    this.turnRate = CONFIG.turnRate;
+    this.tuskRatio = CONFIG.tuskRatio;
+    this.tuskRegrow = 0; // s hasta que el colmillo partido vuelve a crecer
     this.decoration = 0;
     this.invincibleDur = 0;
+    this.impulseDur = 0;
     this.skincode = Math.floor(Math.random() * 18);
 
+    // Mejoras: veces elegida cada una de UPGRADES. upgradedLevel es el último
+    // nivel ya premiado y sentLevel el último enviado en PlayerInfo.
+    this.upgrades = Object.values(UPGRADES).map(() => 0);
+    this.upgradedLevel = 1;
+    this.sentLevel = 0;
+
     // Estado
     this.isAlive = true;
     this.isSpawned = false;
     this.respawnTime = 0;
     this.currentRoom = null;
 
-    // Input del cliente (validado)
-    this.targetX = 0.001;
-    this.targetY = 0;
+    // Input del cliente (validado): dirección pedida respecto a la cabeza
+    // (vector unitario) y la intensidad con que se pide, de 0 a 1
+    this.steerX = 1;
+    this.steerY = 0;
+    this.throttle = 0;
     this.inputFlags = 0;
 
     // Anti-cheat
     this.lastPosition = this.pos.clone();
     this.lastDashTime = 0;
-    this.inputSequence = 0;
+    this.lastSplitUpTime = 0;
+    this.inputSequence = null; // seq del último UpdateTarget aceptado
     this.lastInputTime = Date.now();
   }
 
   initializeParts() {
-    for (let i = 0; i < 11; i++) {
+    for (let i = 0; i < CONFIG.bodyParts; i++) {
       const part = new NarwhalePart();
       part.x = this.pos.x - i * 20;
       part.y = this.pos.y;
@@ -271,14 +447,24 @@ class Player {
     this.isAlive = true;
     this.isSpawned = true;
 
-    this.pos.x = Math.random() * (room.config.options.width - 400) + 200;
-    this.pos.y = Math.random() * (room.config.options.height - 400) + 200;
+    const spawn = room.mode.spawnPoint(this);
+    this.pos.x = spawn.x;
+    this.pos.y = spawn.y;
     this.vel.x = 0;
     this.vel.y = 0;
     this.invincibleDur = 2.0;
     this.curDash = this.maxDash;
     this.size = 36;
     this.level = 1;
+    this.tuskRatio = this.fullTuskRatio();
+    this.tuskRegrow = 0;
+
+    // Recupera las partes perdidas al partirse el colmillo
+    if (this.parts.length !== CONFIG.bodyParts) {
+      this.parts = [];
+      this.initializeParts();
+    }
+    this.breakPoint = this.parts.length;
 
     for (let i = 0; i < this.parts.length; i++) {
       this.parts[i].x = this.pos.x - i * 20;
@@ -302,10 +488,12 @@ class Player {
     }
 
     this.invincibleDur = Math.max(0, this.invincibleDur - dt);
+    this.impulseDur = Math.max(0, this.impulseDur - dt);
+    this.regrowTusk(dt);
 
     // Regenerar dash (SERVIDOR controla esto)
     if (this.curDash < this.maxDash) {
-      this.overDash += dt * this.dashRegenRate;
+      this.overDash += dt * this.dashRegenRate * this.dashRegenBonus;
       if (this.overDash >= 1.0) {
         this.curDash = Math.min(this.maxDash, this.curDash + 1);
         this.overDash = 0;
@@ -322,27 +510,52 @@ class Player {
     this.lastPosition = this.pos.clone();
   }
 
+  // Dirección pedida con las flechas/WASD (o el mando), o null si no hay
+  // ninguna pulsada. Mientras haya teclas mandan ellas; al soltarlas vuelve a
+  // contar el objetivo del ratón.
+  keyDirection() {
+    const flags = this.inputFlags;
+    if (!(flags & (CONTROLS.UP | CONTROLS.DOWN | CONTROLS.LEFT | CONTROLS.RIGHT))) return null;
+
+    const x = ((flags & CONTROLS.RIGHT) ? 1 : 0) - ((flags & CONTROLS.LEFT) ? 1 : 0);
+    const y = ((flags & CONTROLS.DOWN) ? 1 : 0) - ((flags & CONTROLS.UP) ? 1 : 0);
+    const length = Math.sqrt(x * x + y * y);
+    // Teclas opuestas a la vez: se deja de acelerar
+    return length ? { x: x / length, y: y / length } : { x: 0, y: 0 };
+  }
+
   processMovement(dt) {
-    const dx = this.targetX - this.pos.x;
-    const dy = this.targetY - this.pos.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
+    let steer = this.keyDirection();
+    let throttle = 1;
+    if (!steer) {
+      steer = { x: this.steerX, y: this.steerY };
+      throttle = this.throttle;
+    }
 
-    if (distance > 10) {
-      const normalX = dx / distance;
-      const normalY = dy / distance;
+    if (throttle > 0 && (steer.x || steer.y)) {
+      const normalX = steer.x;
+      const normalY = steer.y;
+      const maxSpeed = this.maxSpeed * throttle;
 
-      // Aplicar aceleración
-      this.vel.x += normalX * CONFIG.acceleration * dt;
-      this.vel.y += normalY * CONFIG.acceleration * dt;
+      // Gira hacia la dirección pedida a turnRate como mucho y acelera hacia donde mira
+      let turn = Math.atan2(normalY, normalX) - this.angle;
+      if (turn > Math.PI) turn -= Math.PI * 2;
+      if (turn < -Math.PI) turn += Math.PI * 2;
+      const maxTurn = this.turnRate * dt;
+      this.angle += Math.max(-maxTurn, Math.min(maxTurn, turn));
+      if (this.angle > Math.PI) this.angle -= Math.PI * 2;
+      if (this.angle < -Math.PI) this.angle += Math.PI * 2;
 
-      // Limitar velocidad máxima
+      this.vel.x += Math.cos(this.angle) * CONFIG.acceleration * dt;
+      this.vel.y += Math.sin(this.angle) * CONFIG.acceleration * dt;
+
+      // Limitar velocidad máxima (salvo justo después de un impulso)
       const currentSpeed = Math.sqrt(this.vel.x * this.vel.x + this.vel.y * this.vel.y);
-      if (currentSpeed > this.maxSpeed) {
-        this.vel.x = (this.vel.x / currentSpeed) * this.maxSpeed;
-        this.vel.y = (this.vel.y / currentSpeed) * this.maxSpeed;
+      if (currentSpeed > maxSpeed && this.impulseDur <= 0) {
+        this.vel.x = (this.vel.x / currentSpeed) * maxSpeed;
+        this.vel.y = (this.vel.y / currentSpeed) * maxSpeed;
       }
 
-      this.angle = Math.atan2(dy, dx);
     }
 
     // Fricción
@@ -396,22 +609,166 @@ class Player {
     const margin = 100;
     this.pos.x = Math.max(margin, Math.min(room.config.options.width - margin, this.pos.x));
     this.pos.y = Math.max(margin, Math.min(room.config.options.height - margin, this.pos.y));
+    room.mode.constrain(this);
+
+    if (this.breakPoint < this.parts.length) {
+      const piece = this.parts[this.breakPoint];
+      piece.x = Math.max(0, Math.min(room.config.options.width, piece.x));
+      piece.y = Math.max(0, Math.min(room.config.options.height, piece.y));
+    }
+  }
+
+  // tusk.png mide 168 px y el cliente lo escala por tuskRatio desde la cabeza
+  tuskLength() {
+    return 168 * this.tuskRatio;
+  }
+
+  // Al partirse el colmillo la cola se suelta en breakPoint: el cliente quita
+  // la parte de esa posición, así que aquí también desaparece una
+  breakTusk() {
+    if (this.breakPoint < this.parts.length || this.parts.length < CONFIG.minPartsToBreak) return false;
+
+    const index = this.parts.length - CONFIG.brokenTailParts;
+    this.parts.splice(index, 1);
+    this.breakPoint = index;
+
+    const piece = this.parts[index];
+    const angle = Math.random() * Math.PI * 2;
+    piece.vx = this.vel.x + Math.cos(angle) * CONFIG.brokenPieceSpeed;
+    piece.vy = this.vel.y + Math.sin(angle) * CONFIG.brokenPieceSpeed;
+    piece.vt = (Math.random() - 0.5) * 6;
+
+    this.tuskRatio = CONFIG.brokenTuskRatio;
+    this.tuskRegrow = CONFIG.tuskRegrowTime;
+    return true;
+  }
+
+  // El colmillo crece poco a poco; entero, la cola vuelve a su sitio
+  regrowTusk(dt) {
+    if (this.tuskRegrow <= 0) return;
+
+    this.tuskRegrow = Math.max(0, this.tuskRegrow - dt);
+    const grown = 1 - this.tuskRegrow / CONFIG.tuskRegrowTime;
+    this.tuskRatio = CONFIG.brokenTuskRatio + (this.fullTuskRatio() - CONFIG.brokenTuskRatio) * grown;
+    if (this.tuskRegrow === 0) this.reattachTail();
+  }
+
+  restoreTusk() {
+    this.tuskRegrow = 0;
+    this.tuskRatio = this.fullTuskRatio();
+    this.reattachTail();
+  }
+
+  reattachTail() {
+    this.breakPoint = this.parts.length;
+  }
+
+  // Primera parte de la cola suelta, si la hay y ya se puede recoger
+  brokenPiece() {
+    if (this.breakPoint >= this.parts.length) return null;
+    if (this.tuskRegrow > CONFIG.tuskRegrowTime - CONFIG.brokenPieceCooldown) return null;
+    return this.parts[this.breakPoint];
+  }
+
+  // Partes unidas a la cabeza; desde breakPoint la cola va suelta
+  bodyParts() {
+    return this.parts.slice(0, this.breakPoint);
+  }
+
+  // Cota de la distancia de la cabeza a cualquier parte del cuerpo
+  bodyLength() {
+    return this.breakPoint * (25 + this.size * 0.2) + this.size;
+  }
+
+  isHitBy(point) {
+    const radius = this.size / 2;
+    return this.bodyParts().some(part => {
+      const dx = part.x - point.x;
+      const dy = part.y - point.y;
+      return dx * dx + dy * dy < radius * radius;
+    });
+  }
+
+  tuskTip() {
+    const length = this.tuskLength();
+    return {
+      x: this.pos.x + Math.cos(this.angle) * length,
+      y: this.pos.y + Math.sin(this.angle) * length
+    };
   }
 
   updateSize() {
     this.level = Math.floor(this.score / 100) + 1;
     this.size = 36 + (this.level - 1) * 3;
-    this.maxSpeed = Math.max(80, 150 - (this.level - 1) * 5);
+
+    // Una mejora por cada nivel nuevo
+    const gained = [];
+    while (this.upgradedLevel < this.level) {
+      this.upgradedLevel++;
+      const upgrade = this.pickUpgrade();
+      if (upgrade !== null) {
+        this.upgrades[upgrade]++;
+        gained.push(upgrade);
+      }
+    }
+    this.applyUpgrades();
+
+    // Sólo una subida trae mejoras; una bajada (p. ej. lo que cuesta SplitUp)
+    // o recuperar un nivel ya premiado manda la lista vacía para que el
+    // cliente ponga al día el número de nivel
+    if (this.level !== this.sentLevel) this.sendPlayerInfo(gained);
+  }
+
+  // Al azar entre las que no han llegado a su límite
+  pickUpgrade() {
+    const available = Object.values(UPGRADES).filter(upgrade => this.upgrades[upgrade] < UPGRADE_LIMITS[upgrade]);
+    if (available.length === 0) return null;
+    return available[Math.floor(Math.random() * available.length)];
+  }
+
+  applyUpgrades() {
+    const count = upgrade => this.upgrades[upgrade];
+    this.maxSpeed = Math.max(80, 150 - (this.level - 1) * 5) * (1 + CONFIG.upgradeSpeed * count(UPGRADES.SPEED));
+    this.turnRate = CONFIG.turnRate * (1 + CONFIG.upgradeTurnRate * count(UPGRADES.TURN_RATE));
+    this.dashPower = CONFIG.dashPower * (1 + CONFIG.upgradeDashPower * count(UPGRADES.DASH_SPEED));
+    this.dashRegenRate = CONFIG.dashRegenRate * (1 + CONFIG.upgradeDashRegen * count(UPGRADES.STAMINA_REGEN));
+    this.maxDash = 5 + CONFIG.upgradeStamina * count(UPGRADES.STAMINA);
+    if (this.tuskRegrow === 0) this.tuskRatio = this.fullTuskRatio();
+  }
+
+  fullTuskRatio() {
+    return CONFIG.tuskRatio + CONFIG.upgradeTusk * this.upgrades[UPGRADES.TUSK];
+  }
+
+  // Nivel y mejoras recién ganadas; el cliente muestra un texto por cada una
+  sendPlayerInfo(upgrades) {
+    this.sentLevel = this.level;
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(PacketEncoder.encode(OPCODES.PLAYER_INFO, {
+        level: Math.min(this.level, 255),
+        upgrade: upgrades
+      }));
+    }
   }
 
   // ==================== MANEJO DE INPUTS (VALIDADOS) ====================
-  setTarget(x, y, validator) {
-    // Validación de límites
-    const room = global.gameServer.rooms.get(this.currentRoom);
-    if (!room) return;
+  // (x, y) es la dirección relativa de UpdateTarget; ver STEER en protocol.js
+  setTarget(x, y, seq, validator) {
+    if (!validator.validateSteer(this, x, y, seq)) {
+      return false;
+    }
+    this.inputSequence = seq;
+
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude < CONFIG.steerDeadZone) {
+      this.throttle = 0;
+      return true;
+    }
 
-    this.targetX = Math.max(0, Math.min(room.config.options.width, x));
-    this.targetY = Math.max(0, Math.min(room.config.options.height, y));
+    this.steerX = x / magnitude;
+    this.steerY = y / magnitude;
+    this.throttle = Math.min(1, magnitude);
+    return true;
   }
 
   useDash(validator) {
@@ -423,20 +780,73 @@ class Player {
       this.curDash--;
       this.lastDashTime = Date.now();
       
-      const dashPower = CONFIG.dashPower;
+      const dashPower = this.dashPower;
       this.vel.x += Math.cos(this.angle) * dashPower;
       this.vel.y += Math.sin(this.angle) * dashPower;
+      this.impulseDur = CONFIG.impulseTime;
       
       return true;
     }
     return false;
   }
 
+  // Retirada: impulso contra la dirección de la cabeza y un instante de
+  // evasión. Gasta una carga de dash y comparte su control de spam.
+  useRetreat(validator, room) {
+    if (!validator.validateDash(this)) {
+      return false;
+    }
+
+    this.curDash--;
+    this.lastDashTime = Date.now();
+
+    const retreatPower = CONFIG.retreatPower * room.mode.retreatBonus(this);
+    this.vel.x -= Math.cos(this.angle) * retreatPower;
+    this.vel.y -= Math.sin(this.angle) * retreatPower;
+    this.impulseDur = CONFIG.impulseTime;
+    this.invincibleDur = Math.max(this.invincibleDur, CONFIG.retreatEvasion);
+
+    return true;
+  }
+
+  // Embestida: encara de golpe la dirección (x, y), relativa a la cabeza como
+  // en UpdateTarget, y sale disparado hacia allí. Los demás la ven en el
+  // snapshot por el giro, la velocidad y el dash gastado.
+  useSplitUp(x, y, validator) {
+    if (!validator.validateSplitUp(this, x, y)) {
+      return false;
+    }
+    if (x === 0 && y === 0) return false;
+
+    this.curDash -= CONFIG.splitUpDashCost;
+    this.score -= CONFIG.splitUpScoreCost;
+    this.lastDashTime = this.lastSplitUpTime = Date.now();
+    this.updateSize();
+
+    this.angle = Math.atan2(y, x);
+    this.vel.x = Math.cos(this.angle) * CONFIG.splitUpPower;
+    this.vel.y = Math.sin(this.angle) * CONFIG.splitUpPower;
+    this.impulseDur = CONFIG.impulseTime;
+
+    return true;
+  }
+
+  // Vuelta a cero al empezar una ronda de la partida: puntos, nivel y mejoras
+  resetProgress() {
+    this.score = 0;
+    this.kills = 0;
+    this.streak = 0;
+    this.upgrades = Object.values(UPGRADES).map(() => 0);
+    this.upgradedLevel = 1;
+    this.updateSize();
+  }
+
   takeDamage(amount, attacker = null) {
     if (this.invincibleDur > 0) return false;
 
     if (attacker && attacker !== this) {
       attacker.kills++;
+      attacker.streak++;
       attacker.score += 100 + this.level * 20;
     }
 
@@ -448,11 +858,11 @@ class Player {
     this.isAlive = false;
     this.isSpawned = false;
     this.deaths++;
+    this.streak = 0;
     this.respawnTime = Date.now() + 3000;
 
-    const ripBuffer = Buffer.from([OPCODES.RIP]);
     if (this.socket.readyState === WebSocket.OPEN) {
-      this.socket.send(ripBuffer);
+      this.socket.send(PacketEncoder.encode(OPCODES.RIP));
     }
   }
 }
@@ -460,7 +870,7 @@ class Player {
 // ==================== COMIDA ====================
 class Food {
   constructor(x, y, value = 1) {
-    this.id = Date.now() + Math.random() * 1000;
+    this.id = entityIds.allocate();
     this.x = x;
     this.y = y;
     this.value = value;
@@ -469,7 +879,158 @@ class Food {
   }
 }
 
+// ==================== CUERPOS EMPUJABLES ====================
+// La pelota y las bombas: círculos con x, y, vx, vy y radius que los narvales
+// mueven. El colmillo golpea con kick de más y el cuerpo solo empuja.
+function pushByPlayer(body, player, kick) {
+  const cos = Math.cos(player.angle);
+  const sin = Math.sin(player.angle);
+
+  // Punto del colmillo más cercano al centro del cuerpo
+  const along = Math.max(0, Math.min(player.tuskLength(),
+    (body.x - player.pos.x) * cos + (body.y - player.pos.y) * sin));
+  if (pushAway(body, player, player.pos.x + cos * along, player.pos.y + sin * along, 4, kick)) return true;
+
+  for (const part of player.parts) {
+    if (pushAway(body, player, part.x, part.y, player.size / 2, 0)) return true;
+  }
+  return false;
+}
+
+// Saca el cuerpo del círculo (x, y, radius) y le pasa la velocidad con que el
+// narval se le acerca
+function pushAway(body, player, x, y, radius, kick) {
+  const dx = body.x - x;
+  const dy = body.y - y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  const minDistance = body.radius + radius;
+  if (distance >= minDistance || distance === 0) return false;
+
+  const nx = dx / distance;
+  const ny = dy / distance;
+  body.x = x + nx * minDistance;
+  body.y = y + ny * minDistance;
+
+  const approach = (player.vel.x - body.vx) * nx + (player.vel.y - body.vy) * ny;
+  if (approach > 0) {
+    const impulse = approach * (1 + CONFIG.ballBounce) + kick;
+    body.vx += nx * impulse;
+    body.vy += ny * impulse;
+  }
+  return true;
+}
+
+// Distancia mínima entre los segmentos ab y cd
+function segmentDistance(a, b, c, d) {
+  const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return 0;
+  return Math.min(
+    pointSegmentDistance(a, c, d),
+    pointSegmentDistance(b, c, d),
+    pointSegmentDistance(c, a, b),
+    pointSegmentDistance(d, a, b)
+  );
+}
+
+function pointSegmentDistance(p, a, b) {
+  const abx = b.x - a.x;
+  const aby = b.y - a.y;
+  const lengthSq = abx * abx + aby * aby;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((p.x - a.x) * abx + (p.y - a.y) * aby) / lengthSq)) : 0;
+  const dx = p.x - (a.x + abx * t);
+  const dy = p.y - (a.y + aby * t);
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// ==================== BOMBAS ====================
+class Bomb {
+  constructor(x, y) {
+    this.id = entityIds.allocate();
+    this.x = x;
+    this.y = y;
+    this.vx = 0;
+    this.vy = 0;
+    this.rot = Math.random() * Math.PI * 2;
+    this.radius = CONFIG.bombRadius;
+    this.fuse = 0; // s hasta estallar; 0 mientras nadie la toque
+    this.owner = null; // el último que la empujó se lleva las muertes
+  }
+
+  get speed() {
+    return Math.sqrt(this.vx * this.vx + this.vy * this.vy);
+  }
+}
+
+// ==================== REJILLA ESPACIAL ====================
+// Cubetas de cellWidth × cellWidth; se reconstruye en cada tick
+class SpatialGrid {
+  constructor(cellWidth) {
+    this.cellWidth = cellWidth;
+    this.cells = new Map();
+  }
+
+  clear() {
+    this.cells.clear();
+  }
+
+  key(cx, cy) {
+    return cx + ',' + cy;
+  }
+
+  insert(item, x, y) {
+    const key = this.key(Math.floor(x / this.cellWidth), Math.floor(y / this.cellWidth));
+    let cell = this.cells.get(key);
+    if (!cell) this.cells.set(key, cell = []);
+    cell.push({ item, x, y });
+  }
+
+  // Elementos cuya posición cae dentro de rect, recorriendo solo las celdas que lo tocan
+  query(rect) {
+    const result = [];
+    const minX = Math.floor(rect.minX / this.cellWidth);
+    const maxX = Math.floor(rect.maxX / this.cellWidth);
+    const minY = Math.floor(rect.minY / this.cellWidth);
+    const maxY = Math.floor(rect.maxY / this.cellWidth);
+
+    for (let cy = minY; cy <= maxY; cy++) {
+      for (let cx = minX; cx <= maxX; cx++) {
+        const cell = this.cells.get(this.key(cx, cy));
+        if (!cell) continue;
+        for (const entry of cell) {
+          if (entry.x >= rect.minX && entry.x <= rect.maxX &&
+              entry.y >= rect.minY && entry.y <= rect.maxY) {
+            result.push(entry.item);
+          }
+        }
+      }
+    }
+    return result;
+  }
+}
+
 // ==================== SALA DE JUEGO ====================
+// Reglas de decoración de las salas sin decorations: 'crown', 'streak' y
+// 'captain' dan los bits CROWN, KILL_STREAK y CAPTAIN de DECORATIONS
+const DEFAULT_DECORATIONS = ['crown'];
+
+// Quien más puntos tiene (al menos uno). En un empate sigue quien ya tenía bit,
+// para que la decoración no salte de uno a otro.
+function topScorer(players, bit) {
+  let best = null;
+  for (const player of players) {
+    if (player.score <= 0) continue;
+    if (!best || player.score > best.score ||
+        (player.score === best.score && (player.decoration & bit) && !(best.decoration & bit))) {
+      best = player;
+    }
+  }
+  return best;
+}
+
 class GameRoom {
   constructor(config) {
     this.id = config.id;
@@ -478,24 +1039,59 @@ class GameRoom {
     this.players = new Map();
     this.foods = [];
     this.validator = new InputValidator();
+    this.playerGrid = new SpatialGrid(config.options.cellWidth);
+    this.foodGrid = new SpatialGrid(config.options.cellWidth);
+    this.gridTick = -1;
+
+    // Paso fijo de simulación y snapshots alineados a ticks
+    this.tickRate = config.tickRate || CONFIG.tickRate;
+    this.snapshotRate = Math.min(config.snapshotRate || CONFIG.snapshotRate, this.tickRate);
+    this.tick = 0;
+    this.pendingTime = 0;
+    this.nextSnapshotTick = 0;
+
+    this.mode = createGameMode(this);
+    if (this.mode.hasFood()) this.generateFood(300);
 
-    this.generateFood(300);
+    this.bombs = [];
+    this.bombRespawns = []; // s que faltan para reponer cada bomba estallada
+    for (let i = 0; i < (config.bombs || 0); i++) this.spawnBomb();
+
+    this.match = config.match ? new Match(this, config.match) : null;
+  }
+
+  // Envía un paquete ya codificado a todos los jugadores de la sala
+  broadcast(packet) {
+    for (const player of this.players.values()) {
+      if (player.socket.readyState === WebSocket.OPEN) player.socket.send(packet);
+    }
   }
 
   generateFood(count) {
     for (let i = 0; i < count; i++) {
-      const x = Math.random() * (this.config.options.width - 200) + 100;
-      const y = Math.random() * (this.config.options.height - 200) + 100;
+      const { x, y } = this.mode.foodPoint();
       const value = Math.random() < 0.1 ? 3 : 1;
       this.foods.push(new Food(x, y, value));
     }
   }
 
+  spawnBomb() {
+    const { width, height } = this.config.options;
+    this.bombs.push(new Bomb(
+      Math.random() * (width - 400) + 200,
+      Math.random() * (height - 400) + 200
+    ));
+  }
+
   addPlayer(player) {
     this.players.set(player.id, player);
     player.currentRoom = this.id;
     this.config.playerCount = this.players.size;
+    this.mode.assignTeam(player);
     player.spawn(this);
+    this.gridTick = -1;
+    this.mode.onPlayerJoin(player);
+    if (this.match) this.match.onPlayerJoin(player);
   }
 
   removePlayer(playerId) {
@@ -503,214 +1099,1667 @@ class GameRoom {
     if (player) {
       this.players.delete(playerId);
       this.config.playerCount = this.players.size;
+      this.mode.onPlayerLeave(player);
     }
   }
 
   // ==================== LOOP DE SIMULACIÓN ====================
-  update(dt) {
+  // Simula en pasos de 1/tickRate el tiempo transcurrido
+  advance(elapsed) {
+    const step = 1 / this.tickRate;
+    this.pendingTime = Math.min(this.pendingTime + elapsed, step * CONFIG.maxCatchUpTicks);
+    while (this.pendingTime >= step) {
+      this.pendingTime -= step;
+      // Con slowFactor > 1 el mundo avanza más despacio, como lo muestra el
+      // cliente; el reloj de la partida no
+      this.update(step / this.mode.slowFactor, step);
+      this.tick++;
+    }
+  }
+
+  // ¿Toca snapshot en este tick? Con tasas no divisibles se reparte el resto
+  snapshotDue() {
+    if (this.tick < this.nextSnapshotTick) return false;
+    this.nextSnapshotTick = Math.max(this.nextSnapshotTick + this.tickRate / this.snapshotRate, this.tick + 1);
+    return true;
+  }
+
+  // Instante simulado del tick actual, para la cabecera de los snapshots de viewer
+  snapshotHeader(viewer) {
+    return {
+      time: Math.round(this.tick * 1000 / this.tickRate) & 0xFFFF,
+      tick: this.tick >>> 0,
+      ...this.mode.snapshotFlags(viewer)
+    };
+  }
+
+  // realDt es el tiempo sin cámara lenta (por defecto, el mismo dt)
+  update(dt, realDt = dt) {
     // Actualizar todos los jugadores (física autoritativa)
     for (const player of this.players.values()) {
       player.update(dt, this.validator);
     }
 
+    // Reglas del modo (pelota, marcadores...)
+    this.mode.update(dt);
+    if (this.match) this.match.update(realDt);
+    this.updateBombs(dt);
+
     // Detectar colisiones
     this.checkCollisions();
+    this.updateDecorations();
 
     // Regenerar comida
-    if (this.foods.length < 250) {
+    if (this.mode.hasFood() && this.foods.length < 250) {
       this.generateFood(10);
     }
   }
 
-  checkCollisions() {
-    const alivePlayers = Array.from(this.players.values()).filter(p => p.isAlive);
-
-    // Colisiones jugador-jugador
-    for (let i = 0; i < alivePlayers.length; i++) {
-      for (let j = i + 1; j < alivePlayers.length; j++) {
-        const p1 = alivePlayers[i];
-        const p2 = alivePlayers[j];
-
-        const distance = p1.pos.distance(p2.pos);
-        const collisionDistance = (p1.size + p2.size) * 0.6;
-
-        if (distance < collisionDistance) {
-          const sizeDiff = p1.size - p2.size;
-          const threshold = 10;
-
-          if (sizeDiff > threshold) {
-            p2.takeDamage(CONFIG.collisionDamage, p1);
-          } else if (sizeDiff < -threshold) {
-            p1.takeDamage(CONFIG.collisionDamage, p2);
-          }
-        }
+  // Bits de decoration según las reglas de la sala (decorations en ROOMS_CONFIG)
+  updateDecorations() {
+    const rules = this.config.decorations || DEFAULT_DECORATIONS;
+    const alive = Array.from(this.players.values()).filter(p => p.isAlive);
+    const decorations = new Map(alive.map(player => [player, 0]));
+    const award = (players, bit) => {
+      const leader = topScorer(players, bit);
+      if (leader) decorations.set(leader, decorations.get(leader) | bit);
+    };
+
+    if (rules.includes('crown')) award(alive, DECORATIONS.CROWN);
+    if (rules.includes('captain') && this.mode.hasTeams()) {
+      for (const team of [0, 1]) award(alive.filter(p => p.team === team), DECORATIONS.CAPTAIN);
+    }
+    if (rules.includes('streak')) {
+      for (const player of alive) {
+        if (player.streak >= CONFIG.killStreak) decorations.set(player, decorations.get(player) | DECORATIONS.KILL_STREAK);
       }
     }
 
-    // Colisiones con comida
-    for (const player of alivePlayers) {
-      for (let i = this.foods.length - 1; i >= 0; i--) {
-        const food = this.foods[i];
-        const distance = Math.sqrt(
-          (player.pos.x - food.x) ** 2 + 
-          (player.pos.y - food.y) ** 2
-        );
+    for (const player of this.players.values()) player.decoration = decorations.get(player) || 0;
+  }
 
-        if (distance < player.size / 2 + food.size) {
-          player.score += food.value * 10;
-          this.foods.splice(i, 1);
+  // Solo hace falta para los snapshots: se reconstruye a lo sumo una vez por tick
+  rebuildGrids() {
+    if (this.gridTick === this.tick) return;
+    this.gridTick = this.tick;
 
-          if (Math.random() < 0.7) {
-            const x = Math.random() * (this.config.options.width - 200) + 100;
-            const y = Math.random() * (this.config.options.height - 200) + 100;
-            const value = Math.random() < 0.1 ? 3 : 1;
-            this.foods.push(new Food(x, y, value));
-          }
-        }
+    this.playerGrid.clear();
+    for (const player of this.players.values()) {
+      if (player.isAlive && player.isSpawned) {
+        this.playerGrid.insert(player, player.pos.x, player.pos.y);
       }
     }
+
+    this.foodGrid.clear();
+    for (const food of this.foods) {
+      this.foodGrid.insert(food, food.x, food.y);
+    }
   }
-}
 
-// ==================== CODIFICADOR DE PAQUETES ====================
-class PacketEncoder {
-  static encodeUintAngle(angle) {
-    return Math.floor(((angle / Math.PI + 1) / 2) * 255);
+  // Rectángulo que ve el jugador (aunque esté muerto la cámara sigue en su posición)
+  viewRect(player) {
+    const extent = CONFIG.viewHalfExtent + CONFIG.viewMargin;
+    return {
+      minX: player.pos.x - extent,
+      maxX: player.pos.x + extent,
+      minY: player.pos.y - extent,
+      maxY: player.pos.y + extent
+    };
   }
 
-  static encodeSetElements(room) {
-    const players = Array.from(room.players.values()).filter(p => p.isAlive && p.isSpawned);
-    const foods = room.foods.slice(0, 100);
+  allowsKills() {
+    return this.mode.allowsKills() && (!this.match || this.match.allowsKills());
+  }
 
-    let bufferSize = 50;
-    players.forEach(p => {
-      bufferSize += 60 + Buffer.byteLength(p.name, 'utf8') + (p.parts.length * 5);
-    });
-    bufferSize += foods.length * 20;
+  // Nueva ronda de la partida: puntos a cero, todos a reaparecer y el mapa
+  // (comida, bombas y lo propio del modo) como al crear la sala
+  resetRound() {
+    for (const player of this.players.values()) {
+      player.resetProgress();
+      if (player.isAlive) player.spawn(this);
+    }
 
-    const buffer = Buffer.alloc(bufferSize);
-    let offset = 0;
+    for (const food of this.foods) entityIds.release(food.id);
+    this.foods = [];
+    if (this.mode.hasFood()) this.generateFood(300);
 
-    buffer.writeUInt8(OPCODES.SET_ELEMENTS, offset++);
-    buffer.writeUInt16LE(Date.now() & 0xFFFF, offset); offset += 2;
-    buffer.writeUInt8(0, offset++); // worldFlags
+    for (const bomb of this.bombs) entityIds.release(bomb.id);
+    this.bombs = [];
+    this.bombRespawns = [];
+    for (let i = 0; i < (this.config.bombs || 0); i++) this.spawnBomb();
 
-    // Codificar jugadores
-    for (const player of players) {
-      offset = this.encodeFishElement(buffer, offset, player);
-    }
+    this.mode.resetRound();
+    this.gridTick = -1;
+  }
 
-    // Codificar comida
-    for (const food of foods) {
-      offset = this.encodeFoodElement(buffer, offset, food);
+  hurt(victim, attacker) {
+    if (victim.takeDamage(CONFIG.collisionDamage, attacker) && attacker && attacker !== victim) {
+      this.mode.onKill(attacker, victim);
     }
-
-    return buffer.slice(0, offset);
   }
 
-  static encodeFishElement(buffer, offset, player) {
-    buffer.writeUInt8(ELEMENT_TYPES.FISH, offset++);
-
-    const playerId = typeof player.id === 'string' ? 
-      parseInt(player.id.slice(-8), 16) || Math.abs(player.id.hashCode?.() || 0) :
-      Math.abs(player.id);
-    buffer.writeUInt32LE(playerId & 0xFFFFFFFF, offset); offset += 4;
+  // Variante clásica (combat: 'size'): con las cabezas juntas muere el que
+  // sea más de 10 unidades más pequeño
+  sizeCombat(p1, p2) {
+    const distance = p1.pos.distance(p2.pos);
+    const collisionDistance = (p1.size + p2.size) * 0.6;
+    if (distance >= collisionDistance) return;
+
+    const sizeDiff = p1.size - p2.size;
+    const threshold = 10;
+    if (sizeDiff > threshold) {
+      this.hurt(p2, p1);
+    } else if (sizeDiff < -threshold) {
+      this.hurt(p1, p2);
+    }
+  }
 
-    buffer.writeUInt8((player.color >> 16) & 0xFF, offset++);
-    buffer.writeUInt8((player.color >> 8) & 0xFF, offset++);
-    buffer.writeUInt8(player.color & 0xFF, offset++);
+  // Punta del colmillo contra cualquier parte del cuerpo del otro; si los dos
+  // colmillos se cruzan, rebotan y nadie muere
+  tuskCombat(p1, p2) {
+    const reach = Math.max(p1.tuskLength() + p2.bodyLength(), p2.tuskLength() + p1.bodyLength());
+    if (p1.pos.distance(p2.pos) > reach) return;
+
+    const tip1 = p1.tuskTip();
+    const tip2 = p2.tuskTip();
+    const clash = segmentDistance(p1.pos, tip1, p2.pos, tip2) < CONFIG.tuskClashDistance;
+    if (clash) {
+      // Con invencibilidad el choque no tiene efecto, como un golpe
+      const loser = this.clashLoser(p1, p2);
+      if (loser.invincibleDur > 0) return;
+      this.bounce(p1, p2);
+      loser.breakTusk();
+      return;
+    }
 
-    const nameBytes = Buffer.from(player.name, 'utf8');
-    const nameLength = Math.min(nameBytes.length, 20);
-    nameBytes.copy(buffer, offset, 0, nameLength);
-    offset += nameLength;
-    buffer.writeUInt8(0, offset++);
+    if (p2.isHitBy(tip1)) this.hurt(p2, p1);
+    if (p1.isHitBy(tip2)) this.hurt(p1, p2);
+  }
 
-    buffer.writeUInt8(player.team | (player.level << 3), offset++);
-    buffer.writeUInt8(Math.floor(player.alpha * 255), offset++);
-    buffer.writeUInt8(player.maxDash | (player.curDash << 4), offset++);
-    buffer.writeUInt8(Math.floor(player.overDash * 255), offset++);
-    buffer.writeUInt8(Math.floor(player.tuskRatio * 127), offset++);
-    buffer.writeUInt8(player.decoration, offset++);
+  // Se parte el colmillo más corto (relativo al tamaño); a igualdad, al azar
+  clashLoser(p1, p2) {
+    const strength1 = p1.tuskLength() * p1.size;
+    const strength2 = p2.tuskLength() * p2.size;
+    if (strength1 === strength2) return Math.random() < 0.5 ? p1 : p2;
+    return strength1 < strength2 ? p1 : p2;
+  }
 
-    buffer.writeFloatLE(player.parts[0].x, offset); offset += 4;
-    buffer.writeFloatLE(player.parts[0].y, offset); offset += 4;
+  // La cola suelta se la come cualquiera que la toque con la cabeza (y vuelve
+  // a crecerle al dueño); si es el dueño, además recupera el colmillo
+  collectBrokenPieces(players) {
+    for (const owner of players) {
+      const piece = owner.brokenPiece();
+      if (!piece) continue;
+
+      for (const collector of players) {
+        const dx = collector.pos.x - piece.x;
+        const dy = collector.pos.y - piece.y;
+        const radius = collector.size / 2 + owner.size / 2;
+        if (dx * dx + dy * dy >= radius * radius) continue;
+
+        if (collector === owner) {
+          owner.restoreTusk();
+        } else {
+          collector.score += CONFIG.brokenPieceScore;
+          owner.reattachTail();
+        }
+        break;
+      }
+    }
+  }
 
-    const speed = Math.sqrt(player.parts[0].vx * player.parts[0].vx + player.parts[0].vy * player.parts[0].vy);
-    const angle = Math.atan2(player.parts[0].vy, player.parts[0].vx);
+  bounce(p1, p2) {
+    const distance = p1.pos.distance(p2.pos) || 1;
+    const nx = (p1.pos.x - p2.pos.x) / distance;
+    const ny = (p1.pos.y - p2.pos.y) / distance;
+    p1.vel.x = nx * CONFIG.tuskClashBounce;
+    p1.vel.y = ny * CONFIG.tuskClashBounce;
+    p2.vel.x = -nx * CONFIG.tuskClashBounce;
+    p2.vel.y = -ny * CONFIG.tuskClashBounce;
+  }
 
-    buffer.writeUInt16LE(Math.min(Math.floor(speed), 65535), offset); offset += 2;
-    buffer.writeUInt8(this.encodeUintAngle(angle), offset++);
-    buffer.writeUInt8(this.encodeUintAngle(player.parts[0].rot), offset++);
+  // Una bomba se activa al tocarla y estalla al acabarse la mecha o al chocar
+  // rápida contra una pared u otro narval
+  updateBombs(dt) {
+    const { width, height } = this.config.options;
 
-    buffer.writeUInt8(player.skincode, offset++);
-    buffer.writeUInt8(Math.floor(player.invincibleDur * 255), offset++);
+    for (let i = this.bombRespawns.length - 1; i >= 0; i--) {
+      this.bombRespawns[i] -= dt;
+      if (this.bombRespawns[i] <= 0) {
+        this.bombRespawns.splice(i, 1);
+        this.spawnBomb();
+      }
+    }
+    if (this.bombs.length === 0) return;
+
+    const players = Array.from(this.players.values()).filter(p => p.isAlive && p.isSpawned);
+    for (const bomb of this.bombs.slice()) {
+      const armed = bomb.fuse > 0;
+      const fast = armed && bomb.speed > CONFIG.bombImpactSpeed;
+      let impact = false;
+
+      bomb.x += bomb.vx * dt;
+      bomb.y += bomb.vy * dt;
+      bomb.rot += bomb.speed * dt / bomb.radius; // rueda
+      const damping = 1 + CONFIG.ballDamping * dt;
+      bomb.vx /= damping;
+      bomb.vy /= damping;
+
+      const r = bomb.radius;
+      if (bomb.x < r || bomb.x > width - r) {
+        bomb.x = Math.min(Math.max(bomb.x, r), width - r);
+        bomb.vx = -bomb.vx * CONFIG.ballBounce;
+        impact = fast;
+      }
+      if (bomb.y < r || bomb.y > height - r) {
+        bomb.y = Math.min(Math.max(bomb.y, r), height - r);
+        bomb.vy = -bomb.vy * CONFIG.ballBounce;
+        impact = fast;
+      }
 
-    buffer.writeUInt8(player.parts.length - 1, offset++);
+      for (const player of players) {
+        if (!pushByPlayer(bomb, player, CONFIG.tuskKick)) continue;
+        if (fast && player !== bomb.owner) {
+          impact = true;
+          break;
+        }
+        bomb.owner = player;
+        if (!bomb.fuse) bomb.fuse = CONFIG.bombFuse;
+      }
 
-    for (let i = 1; i < player.parts.length; i++) {
-      const part = player.parts[i];
-      if (i !== player.breakPoint) {
-        buffer.writeUInt8(this.encodeUintAngle(part.rot), offset++);
-      } else {
-        buffer.writeFloatLE(part.x, offset); offset += 4;
-        buffer.writeFloatLE(part.y, offset); offset += 4;
-        buffer.writeFloatLE(part.vx, offset); offset += 4;
-        buffer.writeFloatLE(part.vy, offset); offset += 4;
+      if (armed) {
+        bomb.fuse -= dt;
+        if (bomb.fuse <= 0) impact = true;
       }
+      if (impact) this.explode(bomb, players);
     }
-
-    return offset;
   }
 
-  static encodeFoodElement(buffer, offset, food) {
-    buffer.writeUInt8(ELEMENT_TYPES.FOOD, offset++);
-    buffer.writeUInt32LE(food.id, offset); offset += 4;
-    buffer.writeFloatLE(food.x, offset); offset += 4;
-    buffer.writeFloatLE(food.y, offset); offset += 4;
-    buffer.writeUInt8(food.value, offset++);
-    buffer.writeUInt8(food.size, offset++);
+  // Mata en bombKillRadius (si el modo lo permite) y empuja hasta bombBlastRadius
+  explode(bomb, players) {
+    this.bombs.splice(this.bombs.indexOf(bomb), 1);
+    entityIds.release(bomb.id);
+    this.bombRespawns.push(CONFIG.bombRespawnTime);
 
-    buffer.writeUInt8((food.color >> 16) & 0xFF, offset++);
-    buffer.writeUInt8((food.color >> 8) & 0xFF, offset++);
-    buffer.writeUInt8(food.color & 0xFF, offset++);
+    this.broadcast(PacketEncoder.encode(OPCODES.TRANSIENT_ELEMENT, {
+      type: TRANSIENT_TYPES.SMOKE_EXPLOSION,
+      x: bomb.x,
+      y: bomb.y
+    }, this.config.options));
 
-    return offset;
+    const owner = bomb.owner && bomb.owner.isAlive ? bomb.owner : null;
+    for (const player of players) {
+      if (!player.isAlive) continue;
+      const distance = player.pos.distance(bomb);
+      if (distance >= CONFIG.bombBlastRadius) continue;
+
+      const lethal = this.allowsKills() &&
+        (!owner || owner === player || this.mode.canHurt(owner, player));
+      if (distance < CONFIG.bombKillRadius && lethal) {
+        this.hurt(player, owner);
+        continue;
+      }
+      if (distance > 0) {
+        const impulse = CONFIG.bombKnockback * (1 - distance / CONFIG.bombBlastRadius);
+        player.vel.x += (player.pos.x - bomb.x) / distance * impulse;
+        player.vel.y += (player.pos.y - bomb.y) / distance * impulse;
+      }
+    }
   }
 
-  static encodeLeaderBoard(players) {
-    const topPlayers = Array.from(players.values())
-      .filter(p => p.isAlive)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 10);
-
-    let bufferSize = 3 + topPlayers.length * 30;
-    const buffer = Buffer.alloc(bufferSize);
-    let offset = 0;
+  checkCollisions() {
+    const alivePlayers = Array.from(this.players.values()).filter(p => p.isAlive);
 
-    buffer.writeUInt8(OPCODES.LEADER_BOARD, offset++);
-    buffer.writeUInt8(topPlayers.length, offset++);
+    // Colisiones jugador-jugador (el modo o la partida pueden desactivar las muertes)
+    if (this.allowsKills()) {
+      for (let i = 0; i < alivePlayers.length; i++) {
+        for (let j = i + 1; j < alivePlayers.length; j++) {
+          const p1 = alivePlayers[i];
+          const p2 = alivePlayers[j];
+
+          // alivePlayers no se entera de las muertes de este mismo tick
+          if (!p1.isAlive || !p2.isAlive) continue;
+          if (!this.mode.canHurt(p1, p2)) continue;
+          if (this.config.combat === 'size') {
+            this.sizeCombat(p1, p2);
+          } else {
+            this.tuskCombat(p1, p2);
+          }
+        }
+      }
+    }
 
-    for (const player of topPlayers) {
-      buffer.writeUInt8(player.level, offset++);
+    this.collectBrokenPieces(alivePlayers.filter(p => p.isAlive));
 
-      const nameBytes = Buffer.from(player.name, 'utf8');
-      const nameLength = Math.min(nameBytes.length, 25);
-      nameBytes.copy(buffer, offset, 0, nameLength);
-      offset += nameLength;
-      buffer.writeUInt8(0, offset++);
+    // Colisiones con comida
+    for (const player of alivePlayers) {
+      for (let i = this.foods.length - 1; i >= 0; i--) {
+        const food = this.foods[i];
+        const distance = Math.sqrt(
+          (player.pos.x - food.x) ** 2 + 
+          (player.pos.y - food.y) ** 2
+        );
+
+        if (distance < player.size / 2 + food.size) {
+          player.score += food.value * 10;
+          this.foods.splice(i, 1);
+          entityIds.release(food.id);
+
+          if (Math.random() < 0.7) {
+            const { x, y } = this.mode.foodPoint();
+            const value = Math.random() < 0.1 ? 3 : 1;
+            this.foods.push(new Food(x, y, value));
+          }
+        }
+      }
+    }
+  }
+}
+
+// ==================== MODOS DE JUEGO ====================
+// Reglas propias de cada fieldType (mismos valores que el enum del cliente).
+// GameRoom delega en room.mode todo lo que cambia entre modos.
+const FIELD_TYPES = {
+  NORMAL: 0,
+  SOCCER: 1,
+  PLATFORM: 2,
+  EGG_HUNT: 3,
+  TEAM_DEATHMATCH: 4
+};
+
+// Todos contra todos: la base de los demás modos
+class GameMode {
+  constructor(room) {
+    this.room = room;
+    this.slowFactor = 1;
+  }
+
+  get options() {
+    return this.room.config.options;
+  }
+
+  hasFood() {
+    return true;
+  }
+
+  allowsKills() {
+    return true;
+  }
+
+  canHurt() {
+    return true;
+  }
+
+  onKill() {}
+
+  // Multiplicador de la retirada de player (ver "Enhanced Retreat")
+  retreatBonus() {
+    return 1;
+  }
+
+  assignTeam(player) {
+    player.team = 0;
+  }
+
+  hasTeams() {
+    return false;
+  }
+
+  // Entidades propias del modo para las estadísticas (GetStats)
+  entityCounts() {
+    return {};
+  }
+
+  // Lo llama GameRoom.resetRound al empezar una ronda de la partida
+  resetRound() {}
+
+  spawnPoint() {
+    const { width, height } = this.options;
+    return {
+      x: Math.random() * (width - 400) + 200,
+      y: Math.random() * (height - 400) + 200
+    };
+  }
+
+  foodPoint() {
+    const { width, height } = this.options;
+    return {
+      x: Math.random() * (width - 200) + 100,
+      y: Math.random() * (height - 200) + 100
+    };
+  }
+
+  // Corrige la posición de player tras moverlo (paredes del modo)
+  constrain() {}
+
+  onPlayerJoin() {}
+
+  onPlayerLeave() {}
+
+  update() {}
+
+  // Elementos propios del modo dentro de rect (área de interés de un cliente)
+  elements() {
+    return [];
+  }
+
+  // Posición a la que apunta la flecha de viewer en salas con hasIndicator
+  indicator() {
+    return null;
+  }
+
+  // Campos opcionales de la cabecera de SetElements según las opciones de la sala
+  snapshotFlags(viewer) {
+    const flags = {};
+    if (this.options.hasSlowFactor) flags.slowFactor = this.slowFactor;
+    const indicator = this.options.hasIndicator && this.indicator(viewer);
+    if (indicator) {
+      flags.indicatorX = indicator.x;
+      flags.indicatorY = indicator.y;
+    }
+    return flags;
+  }
+}
+
+// Dos equipos con marcador: 0 naranja (izquierda), 1 azul (derecha), como los
+// pinta el cliente. El marcador viaja en TeamInfo.
+class TeamMode extends GameMode {
+  constructor(room) {
+    super(room);
+    this.scores = [0, 0];
+    this.winner = -1;
+    this.celebrationEnd = 0; // ms; distinto de 0 durante la cámara lenta
+  }
+
+  update() {
+    if (this.celebrationEnd && Date.now() >= this.celebrationEnd) this.endCelebration();
+  }
+
+  hasTeams() {
+    return true;
+  }
+
+  resetRound() {
+    this.slowFactor = 1;
+    this.celebrationEnd = 0;
+    this.scores = [0, 0];
+    this.winner = -1;
+    this.resume(true);
+    this.sendTeamInfo(false);
+  }
+
+  // Con la ronda decidida no se suma nada hasta que se reinicie. Devuelve si
+  // el punto contó.
+  addScore(team, points, winScore) {
+    if (this.winner >= 0) return false;
+    this.scores[team] += points;
+    if (this.scores[team] >= winScore) this.winner = team;
+    return true;
+  }
+
+  // Cámara lenta de goalCelebration ms; el cliente la muestra con slowFactor
+  celebrate() {
+    this.slowFactor = CONFIG.goalSlowFactor;
+    this.celebrationEnd = Date.now() + CONFIG.goalCelebration;
+    this.sendTeamInfo(true);
+  }
+
+  // Tras una victoria el marcador vuelve a cero. En salas con partida eso le
+  // toca a GameRoom.resetRound al acabar el descanso, no al fin de la cámara lenta.
+  endCelebration() {
+    const roundOver = this.winner >= 0 && !this.room.match;
+    this.slowFactor = 1;
+    this.celebrationEnd = 0;
+    if (roundOver) {
+      this.scores = [0, 0];
+      this.winner = -1;
+    }
+    this.resume(roundOver);
+    this.sendTeamInfo(false);
+  }
+
+  // Reanuda el juego al acabar la cámara lenta
+  resume() {}
+
+  // Al equipo con menos jugadores; a igualdad, al azar
+  assignTeam(player) {
+    const counts = [0, 0];
+    for (const other of this.room.players.values()) {
+      if (other !== player) counts[other.team]++;
+    }
+    if (counts[0] === counts[1]) {
+      player.team = Math.random() < 0.5 ? 0 : 1;
+    } else {
+      player.team = counts[0] < counts[1] ? 0 : 1;
+    }
+  }
+
+  // Sin fuego amigo
+  canHurt(a, b) {
+    return a.team !== b.team;
+  }
+
+  // Cada equipo sale en su mitad
+  spawnPoint(player) {
+    const { width, height } = this.options;
+    const half = width / 2;
+    return {
+      x: Math.random() * (half - 400) + 200 + (player.team === 1 ? half : 0),
+      y: Math.random() * (height - 400) + 200
+    };
+  }
+
+  onPlayerJoin(player) {
+    if (player.socket.readyState === WebSocket.OPEN) player.socket.send(this.encodeTeamInfo(false));
+  }
+
+  encodeTeamInfo(isRoundDone) {
+    return PacketEncoder.encode(OPCODES.TEAM_INFO, {
+      leftTeamScore: Math.min(this.scores[0], 255),
+      rightTeamScore: Math.min(this.scores[1], 255),
+      winTeam: this.winner,
+      isRoundDone
+    });
+  }
+
+  sendTeamInfo(isRoundDone) {
+    this.room.broadcast(this.encodeTeamInfo(isRoundDone));
+  }
+}
+
+class Ball {
+  constructor(x, y) {
+    this.id = entityIds.allocate();
+    this.radius = CONFIG.ballRadius;
+    this.reset(x, y);
+  }
+
+  reset(x, y) {
+    this.x = x;
+    this.y = y;
+    this.vx = 0;
+    this.vy = 0;
+  }
+}
+
+// "Narwhale Ball!": se marca metiendo la pelota entera en la portería contraria.
+// Las porterías son las que dibuja el cliente: fuera del campo, cellWidth / 2
+// de fondo y el tercio central de alto; la naranja a la izquierda.
+class SoccerMode extends TeamMode {
+  constructor(room) {
+    super(room);
+    const { width, height } = this.options;
+    this.ball = new Ball(width / 2, height / 2);
+  }
+
+  entityCounts() {
+    return { balls: 1 };
+  }
+
+  hasFood() {
+    return false;
+  }
+
+  allowsKills() {
+    return false;
+  }
+
+  update(dt) {
+    super.update(dt);
+
+    this.moveBall(dt);
+    for (const player of this.room.players.values()) {
+      if (player.isAlive && player.isSpawned) this.pushBall(player);
+    }
+    if (!this.celebrationEnd) this.checkGoal();
+  }
+
+  moveBall(dt) {
+    const ball = this.ball;
+    const r = ball.radius;
+    const { width, height, cellWidth } = this.options;
+    const goalTop = height / 3;
+    const goalBottom = height * 2 / 3;
+
+    ball.x += ball.vx * dt;
+    ball.y += ball.vy * dt;
+    const damping = 1 + CONFIG.ballDamping * dt;
+    ball.vx /= damping;
+    ball.vy /= damping;
+
+    // Por la boca de la portería puede cruzar la línea de fondo; con el centro
+    // ya dentro, los postes hacen de paredes
+    const inGoal = ball.x < 0 || ball.x > width;
+    const inMouth = inGoal || (ball.y - r >= goalTop && ball.y + r <= goalBottom);
+    const minX = inMouth ? r - cellWidth / 2 : r;
+    const maxX = inMouth ? width + cellWidth / 2 - r : width - r;
+    const minY = inGoal ? goalTop + r : r;
+    const maxY = inGoal ? goalBottom - r : height - r;
+
+    if (ball.x < minX) {
+      ball.x = minX;
+      ball.vx = Math.abs(ball.vx) * CONFIG.ballBounce;
+    } else if (ball.x > maxX) {
+      ball.x = maxX;
+      ball.vx = -Math.abs(ball.vx) * CONFIG.ballBounce;
+    }
+    if (ball.y < minY) {
+      ball.y = minY;
+      ball.vy = Math.abs(ball.vy) * CONFIG.ballBounce;
+    } else if (ball.y > maxY) {
+      ball.y = maxY;
+      ball.vy = -Math.abs(ball.vy) * CONFIG.ballBounce;
+    }
+  }
+
+  pushBall(player) {
+    pushByPlayer(this.ball, player, CONFIG.tuskKick);
+  }
+
+  checkGoal() {
+    const { width } = this.options;
+    const r = this.ball.radius;
+    if (this.ball.x < -r) {
+      this.goal(1); // portería naranja: marca el azul
+    } else if (this.ball.x > width + r) {
+      this.goal(0);
+    }
+  }
+
+  goal(team) {
+    if (!this.addScore(team, 1, CONFIG.soccerWinScore)) {
+      this.resume();
+      return;
+    }
+    this.celebrate();
+  }
+
+  // Saque desde el centro
+  resume() {
+    const { width, height } = this.options;
+    this.ball.reset(width / 2, height / 2);
+  }
+
+  elements(rect) {
+    const ball = this.ball;
+    const r = ball.radius;
+    const visible = ball.x + r >= rect.minX && ball.x - r <= rect.maxX &&
+      ball.y + r >= rect.minY && ball.y - r <= rect.maxY;
+    return visible ? [PacketEncoder.ballElement(ball)] : [];
+  }
+
+  indicator() {
+    return this.ball;
+  }
+}
+
+// Valores del campo type de ATTACHABLE
+const ATTACHABLE_TYPES = {
+  EGG: 0
+};
+
+class Egg {
+  constructor(x, y) {
+    this.id = entityIds.allocate();
+    this.type = ATTACHABLE_TYPES.EGG;
+    this.variation = Math.floor(Math.random() * 256); // el cliente lo reduce a sus 52 dibujos
+    this.size = Math.random() < 0.15 ? 2 : Math.random() < 0.4 ? 1 : 0;
+    this.x = x;
+    this.y = y;
+    this.vx = 0;
+    this.vy = 0;
+    this.rot = Math.random() * Math.PI * 2;
+    this.carrier = null;
+    this.droppedBy = null;
+    this.pickableAt = 0;
+  }
+
+  // Mismo factor de escala que dibuja el cliente
+  get radius() {
+    return CONFIG.eggRadius * (0.6 + 0.075 * this.size * this.size) / 0.6;
+  }
+
+  get points() {
+    return this.size + 1;
+  }
+}
+
+// "Narwhale Egg Hunt!": los huevos se ensartan con el colmillo y puntúan al
+// llevarlos a la cesta del equipo (naranja a la izquierda, azul a la derecha,
+// centradas a cellWidth / 2 del borde como las dibuja el cliente). Un colmillo
+// enemigo que toca al portador le hace soltar los huevos.
+class EggHuntMode extends TeamMode {
+  constructor(room) {
+    super(room);
+    this.eggs = [];
+    for (let i = 0; i < CONFIG.eggCount; i++) this.spawnEgg();
+  }
+
+  entityCounts() {
+    return { eggs: this.eggs.length };
+  }
+
+  hasFood() {
+    return false;
+  }
+
+  allowsKills() {
+    return false;
+  }
+
+  // Cada equipo sale junto a su cesta
+  spawnPoint(player) {
+    const { height, cellWidth } = this.options;
+    const basket = this.basket(player.team);
+    return {
+      x: basket.x + (player.team === 0 ? 1 : -1) * (cellWidth / 2 + Math.random() * cellWidth),
+      y: Math.min(Math.max(basket.y + (Math.random() - 0.5) * height / 2, 200), height - 200)
+    };
+  }
+
+  basket(team) {
+    const { width, height, cellWidth } = this.options;
+    return {
+      x: team === 0 ? cellWidth / 2 : width - cellWidth / 2,
+      y: height / 2,
+      radius: cellWidth / 2
+    };
+  }
+
+  // Huevo suelto lejos de las cestas
+  spawnEgg() {
+    const { width, height, cellWidth } = this.options;
+    const egg = new Egg(
+      cellWidth + Math.random() * (width - cellWidth * 2),
+      200 + Math.random() * (height - 400)
+    );
+    this.eggs.push(egg);
+    return egg;
+  }
+
+  carried(player) {
+    return this.eggs.filter(egg => egg.carrier === player);
+  }
+
+  onPlayerLeave(player) {
+    this.drop(player);
+  }
+
+  update(dt) {
+    super.update(dt);
+
+    const players = Array.from(this.room.players.values()).filter(p => p.isAlive && p.isSpawned);
+    for (const egg of this.eggs) {
+      if (egg.carrier && !(egg.carrier.isAlive && egg.carrier.isSpawned)) this.drop(egg.carrier);
+    }
+    if (this.celebrationEnd) {
+      this.moveEggs(dt);
+      return;
+    }
+
+    for (const player of players) {
+      this.steal(player, players);
+      this.pickUp(player);
+      this.deliver(player);
+    }
+    this.moveEggs(dt);
+  }
+
+  // Un colmillo enemigo en el cuerpo del portador tira sus huevos
+  steal(player, players) {
+    const tip = player.tuskTip();
+    for (const other of players) {
+      if (other.team === player.team) continue;
+      const dx = tip.x - other.pos.x;
+      const dy = tip.y - other.pos.y;
+      if (dx * dx + dy * dy < (other.size / 2) ** 2) this.drop(other);
+    }
+  }
+
+  pickUp(player) {
+    let count = this.carried(player).length;
+    if (count >= CONFIG.eggCarryLimit) return;
+
+    const now = Date.now();
+    const tip = player.tuskTip();
+    for (const egg of this.eggs) {
+      if (egg.carrier || (egg.droppedBy === player && now < egg.pickableAt)) continue;
+      const dx = egg.x - tip.x;
+      const dy = egg.y - tip.y;
+      if (dx * dx + dy * dy < egg.radius * egg.radius) {
+        egg.carrier = player;
+        if (++count >= CONFIG.eggCarryLimit) return;
+      }
+    }
+  }
+
+  deliver(player) {
+    const basket = this.basket(player.team);
+    const dx = player.pos.x - basket.x;
+    const dy = player.pos.y - basket.y;
+    if (dx * dx + dy * dy >= basket.radius * basket.radius) return;
+
+    const eggs = this.carried(player);
+    if (eggs.length === 0) return;
+
+    let points = 0;
+    for (const egg of eggs) {
+      points += egg.points;
+      this.removeEgg(egg);
+      this.spawnEgg();
+    }
+    player.score += points * 10;
+    if (!this.addScore(player.team, points, CONFIG.eggWinScore)) return;
+    if (this.winner >= 0) {
+      this.celebrate();
+    } else {
+      this.sendTeamInfo(false);
+    }
+  }
+
+  drop(player) {
+    for (const egg of this.carried(player)) {
+      const angle = Math.random() * Math.PI * 2;
+      egg.carrier = null;
+      egg.droppedBy = player;
+      egg.pickableAt = Date.now() + CONFIG.eggDropCooldown;
+      egg.vx = player.vel.x + Math.cos(angle) * CONFIG.eggDropSpeed;
+      egg.vy = player.vel.y + Math.sin(angle) * CONFIG.eggDropSpeed;
+    }
+  }
+
+  removeEgg(egg) {
+    this.eggs.splice(this.eggs.indexOf(egg), 1);
+    entityIds.release(egg.id);
+  }
+
+  // Los ensartados van en el colmillo, el primero en la punta; los sueltos
+  // frenan como la pelota y no salen del campo
+  moveEggs(dt) {
+    const { width, height } = this.options;
+    const slots = new Map();
+    for (const egg of this.eggs) {
+      const carrier = egg.carrier;
+      if (carrier) {
+        const slot = slots.get(carrier) || 0;
+        slots.set(carrier, slot + 1);
+        const along = Math.max(0, carrier.tuskLength() - slot * CONFIG.eggSpacing);
+        egg.x = carrier.pos.x + Math.cos(carrier.angle) * along;
+        egg.y = carrier.pos.y + Math.sin(carrier.angle) * along;
+        egg.vx = carrier.vel.x;
+        egg.vy = carrier.vel.y;
+        egg.rot = carrier.angle;
+        continue;
+      }
+
+      egg.x = Math.min(Math.max(egg.x + egg.vx * dt, 0), width);
+      egg.y = Math.min(Math.max(egg.y + egg.vy * dt, 0), height);
+      const damping = 1 + CONFIG.ballDamping * dt;
+      egg.vx /= damping;
+      egg.vy /= damping;
+    }
+  }
+
+  // Nueva ronda: todos los huevos vuelven a repartirse por el campo
+  resume(roundOver) {
+    if (!roundOver) return;
+    for (const egg of this.eggs.slice()) this.removeEgg(egg);
+    for (let i = 0; i < CONFIG.eggCount; i++) this.spawnEgg();
+  }
+
+  elements(rect) {
+    const elements = [];
+    for (const egg of this.eggs) {
+      if (egg.x >= rect.minX && egg.x <= rect.maxX && egg.y >= rect.minY && egg.y <= rect.maxY) {
+        elements.push(PacketEncoder.attachableElement(egg));
+      }
+    }
+    return elements;
+  }
+
+  // Con huevos, la flecha señala la cesta propia; sin ellos, el huevo suelto más cercano
+  indicator(viewer) {
+    if (!viewer || !viewer.isSpawned) return null;
+    if (this.eggs.some(egg => egg.carrier === viewer)) return this.basket(viewer.team);
+
+    let nearest = null;
+    let best = Infinity;
+    for (const egg of this.eggs) {
+      if (egg.carrier) continue;
+      const distance = (egg.x - viewer.pos.x) ** 2 + (egg.y - viewer.pos.y) ** 2;
+      if (distance < best) {
+        best = distance;
+        nearest = egg;
+      }
+    }
+    return nearest;
+  }
+}
+
+// Valores de benefit de OCCUPIABLE (Y.benefitToDefinition en el cliente)
+const ZONE_BENEFITS = {
+  AUTO_SCORES: 0,
+  BONUS_DASH: 1,
+  EXTRA_KILL: 2,
+  ENHANCED_RETREAT: 3
+};
+
+// Celda (columna, fila) de cada zona; el cliente la deduce del benefit
+const ZONE_CELLS = {
+  [ZONE_BENEFITS.AUTO_SCORES]: [2, 0],
+  [ZONE_BENEFITS.BONUS_DASH]: [0, 2],
+  [ZONE_BENEFITS.EXTRA_KILL]: [2, 4],
+  [ZONE_BENEFITS.ENHANCED_RETREAT]: [4, 2]
+};
+
+// Los lados del cliente: -1 naranja (equipo 0), 1 azul (equipo 1)
+function teamSide(team) {
+  return team === 1 ? 1 : -1;
+}
+
+// Zona de captura. accumSide avanza hacia el equipo que la ocupa en solitario
+// y la captura al llegar a ±1; el rival primero la neutraliza (accumSide a 0).
+class CaptureZone {
+  constructor(benefit, cellWidth) {
+    const [col, row] = ZONE_CELLS[benefit];
+    this.id = entityIds.allocate();
+    this.benefit = benefit;
+    this.x = col * cellWidth + cellWidth / 2;
+    this.y = row * cellWidth + cellWidth / 2;
+    this.radius = 0.8 * cellWidth / 2; // el círculo que dibuja el cliente
+    this.reset();
+  }
+
+  reset() {
+    this.accumSide = 0;
+    this.curSide = 0;
+    this.occupyingSide = 0;
+  }
+
+  update(dt, players) {
+    const present = new Set();
+    for (const player of players) {
+      const dx = player.pos.x - this.x;
+      const dy = player.pos.y - this.y;
+      if (dx * dx + dy * dy < this.radius * this.radius) present.add(teamSide(player.team));
+    }
+    this.occupyingSide = present.size === 1 ? present.values().next().value : 0;
+
+    // Sin nadie, vuelve poco a poco a su dueño; disputada, no se mueve
+    const step = dt / CONFIG.zoneCaptureTime;
+    if (this.occupyingSide !== 0) {
+      this.accumSide = Math.max(-1, Math.min(1, this.accumSide + this.occupyingSide * step));
+    } else if (present.size === 0) {
+      const rest = this.curSide;
+      const drift = Math.min(Math.abs(rest - this.accumSide), step / 2);
+      this.accumSide += Math.sign(rest - this.accumSide) * drift;
+    }
+
+    if (Math.abs(this.accumSide) >= 1) {
+      this.curSide = Math.sign(this.accumSide);
+    } else if (this.curSide !== 0 && Math.sign(this.accumSide) !== this.curSide) {
+      this.curSide = 0;
+    }
+  }
+
+  ownedBy(team) {
+    return this.curSide === teamSide(team);
+  }
+}
+
+// Cada muerte de un enemigo suma para el equipo del que la causa; al llegar a
+// teamDeathmatchWinKills se celebra y todos vuelven a salir en su mitad.
+// Las zonas de captura dan su benefit al equipo que las tiene.
+class TeamDeathmatchMode extends TeamMode {
+  constructor(room) {
+    super(room);
+    const { cellWidth } = this.options;
+    this.zones = Object.values(ZONE_BENEFITS).map(benefit => new CaptureZone(benefit, cellWidth));
+    this.autoScoreTime = 0;
+  }
+
+  entityCounts() {
+    return { zones: this.zones.length };
+  }
+
+  hasBenefit(team, benefit) {
+    return this.zones.some(zone => zone.benefit === benefit && zone.ownedBy(team));
+  }
+
+  canHurt(a, b) {
+    return !this.celebrationEnd && super.canHurt(a, b);
+  }
+
+  update(dt) {
+    super.update(dt);
+
+    const players = Array.from(this.room.players.values()).filter(p => p.isAlive && p.isSpawned);
+    if (!this.celebrationEnd) {
+      for (const zone of this.zones) zone.update(dt, players);
+    }
+
+    for (const player of this.room.players.values()) {
+      player.dashRegenBonus = this.hasBenefit(player.team, ZONE_BENEFITS.BONUS_DASH) ? CONFIG.zoneDashBonus : 1;
+    }
+
+    this.autoScoreTime += dt;
+    if (this.autoScoreTime >= CONFIG.zoneAutoScoreInterval) {
+      this.autoScoreTime = 0;
+      for (const team of [0, 1]) {
+        if (!this.celebrationEnd && this.hasBenefit(team, ZONE_BENEFITS.AUTO_SCORES)) this.score(team, 1);
+      }
+    }
+  }
+
+  onKill(killer) {
+    this.score(killer.team, this.hasBenefit(killer.team, ZONE_BENEFITS.EXTRA_KILL) ? 2 : 1);
+  }
+
+  score(team, points) {
+    if (!this.addScore(team, points, CONFIG.teamDeathmatchWinKills)) return;
+    if (this.winner >= 0) {
+      this.celebrate();
+    } else {
+      this.sendTeamInfo(false);
+    }
+  }
+
+  retreatBonus(player) {
+    return this.hasBenefit(player.team, ZONE_BENEFITS.ENHANCED_RETREAT) ? CONFIG.zoneRetreatBonus : 1;
+  }
+
+  // El punto de "Auto Scores" vuelve a contar un intervalo entero: lo que se
+  // acumuló durante la cámara lenta o la ronda anterior no cuenta
+  resume(roundOver) {
+    this.autoScoreTime = 0;
+    if (!roundOver) return;
+    for (const zone of this.zones) zone.reset();
+    // Con partida ya los hace reaparecer GameRoom.resetRound
+    if (this.room.match) return;
+    for (const player of this.room.players.values()) {
+      if (player.isAlive) player.spawn(this.room);
+    }
+  }
+
+  // Las zonas van siempre: son pocas y el cliente las coloca por su benefit
+  elements() {
+    return this.zones.map(zone => PacketEncoder.occupiableElement(zone));
+  }
+
+  // La flecha señala al enemigo vivo más cercano
+  indicator(viewer) {
+    if (!viewer || !viewer.isSpawned) return null;
+
+    let nearest = null;
+    let best = Infinity;
+    for (const player of this.room.players.values()) {
+      if (player.team === viewer.team || !player.isAlive || !player.isSpawned) continue;
+      const distance = player.pos.distance(viewer.pos);
+      if (distance < best) {
+        best = distance;
+        nearest = player.pos;
+      }
+    }
+    return nearest;
+  }
+}
+
+// Mapa de Tiled: las capas con collision=true son paredes para los narvales.
+// El cliente pinta el mismo fichero (options.tilemap, dentro de img/).
+class PlatformMode extends GameMode {
+  constructor(room) {
+    super(room);
+    const { tilemap, width, height } = this.options;
+    this.map = TileMap.load(path.join(__dirname, 'img', tilemap));
+    if (this.map.pixelWidth !== width || this.map.pixelHeight !== height) {
+      throw new Error(`${tilemap} mide ${this.map.pixelWidth}x${this.map.pixelHeight}, la sala ${width}x${height}`);
+    }
+    // Un mapa sin hueco para aparecer falla al arrancar, no en mitad de la partida
+    this.spawnPoint();
+  }
+
+  // Punto al azar donde cabe un círculo de radius. Si el azar no acierta
+  // (mapa casi lleno) se prueban los centros de todos los tiles.
+  freePoint(radius) {
+    const { width, height, tilemap } = this.options;
+    for (let i = 0; i < CONFIG.freePointAttempts; i++) {
+      const x = Math.random() * (width - 200) + 100;
+      const y = Math.random() * (height - 200) + 100;
+      if (this.map.isFree(x, y, radius)) return { x, y };
+    }
+
+    const { tileWidth, tileHeight } = this.map;
+    for (let row = 0; row < this.map.height; row++) {
+      for (let col = 0; col < this.map.width; col++) {
+        const x = (col + 0.5) * tileWidth;
+        const y = (row + 0.5) * tileHeight;
+        if (this.map.isFree(x, y, radius)) return { x, y };
+      }
+    }
+    throw new Error(`${tilemap} no tiene sitio libre para un círculo de radio ${radius}`);
+  }
+
+  spawnPoint() {
+    return this.freePoint(this.map.tileWidth);
+  }
+
+  foodPoint() {
+    return this.freePoint(16);
+  }
+
+  // La cabeza no entra en la roca y pierde la velocidad contra la pared
+  constrain(player) {
+    const hit = this.map.resolveCircle(player.pos.x, player.pos.y, player.size / 2);
+    if (!hit) return;
+
+    player.pos.x = hit.x;
+    player.pos.y = hit.y;
+    const into = player.vel.x * hit.nx + player.vel.y * hit.ny;
+    if (into < 0) {
+      player.vel.x -= hit.nx * into;
+      player.vel.y -= hit.ny * into;
+    }
+  }
+}
+
+const GAME_MODES = {
+  [FIELD_TYPES.NORMAL]: GameMode,
+  [FIELD_TYPES.SOCCER]: SoccerMode,
+  [FIELD_TYPES.PLATFORM]: PlatformMode,
+  [FIELD_TYPES.EGG_HUNT]: EggHuntMode,
+  [FIELD_TYPES.TEAM_DEATHMATCH]: TeamDeathmatchMode
+};
+
+function createGameMode(room) {
+  const Mode = GAME_MODES[room.config.options.fieldType] || GameMode;
+  return new Mode(room);
+}
+
+// ==================== CICLO DE PARTIDA ====================
+// Opcional por sala (match en ROOMS_CONFIG, duraciones en s): calentamiento →
+// ronda con tiempo → fin de ronda con el ganador → descanso → calentamiento.
+// El calentamiento no cuenta hasta que hay minPlayers, y la sala se reinicia
+// (mapa y puntos) al empezar cada ronda y al acabar el descanso.
+const MATCH_DEFAULTS = {
+  warmup: 15,
+  round: 300,
+  roundEnd: 5,
+  intermission: 10,
+  minPlayers: 2
+};
+
+const MATCH_DURATIONS = {
+  [MATCH_STATES.WARMUP]: 'warmup',
+  [MATCH_STATES.ROUND]: 'round',
+  [MATCH_STATES.ROUND_END]: 'roundEnd',
+  [MATCH_STATES.INTERMISSION]: 'intermission'
+};
+
+class Match {
+  constructor(room, options) {
+    this.room = room;
+    this.options = Object.assign({}, MATCH_DEFAULTS, options);
+    this.enter(MATCH_STATES.WARMUP);
+  }
+
+  get waiting() {
+    return this.state === MATCH_STATES.WARMUP && this.room.players.size < this.options.minPlayers;
+  }
+
+  // Fuera de la ronda y del calentamiento nadie muere
+  allowsKills() {
+    return this.state === MATCH_STATES.WARMUP || this.state === MATCH_STATES.ROUND;
+  }
+
+  enter(state) {
+    this.state = state;
+    this.remaining = this.options[MATCH_DURATIONS[state]];
+    if (state === MATCH_STATES.WARMUP || state === MATCH_STATES.ROUND) {
+      this.winTeam = -1;
+      this.winner = '';
+    }
+    this.wasWaiting = this.waiting;
+    this.room.broadcast(this.encode());
+  }
+
+  update(dt) {
+    // El calentamiento vuelve a empezar cada vez que faltan jugadores
+    const waiting = this.waiting;
+    if (waiting !== this.wasWaiting) {
+      this.enter(MATCH_STATES.WARMUP);
+      return;
+    }
+    if (waiting) return;
+
+    const mode = this.room.mode;
+    if (this.state === MATCH_STATES.ROUND && mode.hasTeams() && mode.winner >= 0) {
+      this.endRound();
+      return;
+    }
+
+    this.remaining -= dt;
+    if (this.remaining > 0) return;
+
+    switch (this.state) {
+      case MATCH_STATES.WARMUP:
+        this.room.resetRound();
+        this.enter(MATCH_STATES.ROUND);
+        break;
+      case MATCH_STATES.ROUND:
+        this.endRound();
+        break;
+      case MATCH_STATES.ROUND_END:
+        this.enter(MATCH_STATES.INTERMISSION);
+        break;
+      case MATCH_STATES.INTERMISSION:
+        this.room.resetRound();
+        this.enter(MATCH_STATES.WARMUP);
+        break;
+    }
+  }
+
+  // Por equipos gana el marcador (o quien ya ganó según el modo); si no, quien
+  // más puntos tiene
+  endRound() {
+    const mode = this.room.mode;
+    if (mode.hasTeams()) {
+      if (mode.winner < 0 && mode.scores[0] !== mode.scores[1]) {
+        mode.winner = mode.scores[0] > mode.scores[1] ? 0 : 1;
+        mode.sendTeamInfo(true);
+      }
+      this.winTeam = mode.winner;
+    } else {
+      const leader = topScorer(this.room.players.values(), DECORATIONS.CROWN);
+      this.winner = leader ? leader.name : '';
+    }
+    this.enter(MATCH_STATES.ROUND_END);
+  }
+
+  onPlayerJoin(player) {
+    if (player.socket.readyState === WebSocket.OPEN) player.socket.send(this.encode());
+  }
+
+  encode() {
+    return PacketEncoder.encode(OPCODES.MATCH_STATE, {
+      state: this.state,
+      remaining: this.waiting ? 0 : Math.min(Math.ceil(this.remaining), 0xFFFF),
+      winTeam: this.winTeam,
+      winner: this.winner
+    });
+  }
+}
+
+// ==================== CODIFICADOR DE PAQUETES ====================
+// Traduce el estado del servidor a los registros de protocol.js
+class PacketEncoder {
+  static encode(opcode, record = {}, options) {
+    return Protocol.encode(DIRECTION.TO_CLIENT, opcode, record, options);
+  }
+
+  // Solo lo que cae en el área de interés de viewer
+  static roomElements(room, capabilities, viewer) {
+    const rect = room.viewRect(viewer);
+    room.rebuildGrids();
+    const players = room.playerGrid.query(rect);
+    const foods = capabilities & CAPABILITIES.FOOD ? room.foodGrid.query(rect) : [];
+
+    const elements = [];
+    for (const player of players) {
+      elements.push(this.fishElement(player));
+    }
+    for (const food of foods) {
+      elements.push(this.foodElement(food));
+    }
+    for (const bomb of room.bombs) {
+      if (bomb.x >= rect.minX && bomb.x <= rect.maxX && bomb.y >= rect.minY && bomb.y <= rect.maxY) {
+        elements.push(this.bombElement(bomb));
+      }
+    }
+    elements.push(...room.mode.elements(rect));
+    return elements;
+  }
+
+  static encodeSetElements(room, capabilities, viewer) {
+    return this.encode(OPCODES.SET_ELEMENTS, {
+      ...room.snapshotHeader(viewer),
+      elements: this.roomElements(room, capabilities, viewer)
+    }, room.config.options);
+  }
+
+  // Map id → captura (bytes por campo) para los snapshots delta. cache guarda
+  // las capturas del tick para no recodificar lo que ven varios clientes.
+  static captureElements(room, capabilities, viewer, cache = new Map()) {
+    const entries = new Map();
+    for (const element of this.roomElements(room, capabilities, viewer)) {
+      const key = `${element.elementType}:${element.id}`;
+      if (!cache.has(key)) cache.set(key, Protocol.captureElement(element, room.config.options));
+      const entry = cache.get(key);
+      entries.set(entry.id, entry);
+    }
+    return entries;
+  }
+
+  static fishElement(player) {
+    return {
+      elementType: ELEMENT_TYPES.FISH,
+      id: player.id,
+      color: player.color,
+      name: player.name,
+      team: player.team,
+      breakPoint: player.breakPoint,
+      alpha: player.alpha,
+      maxDash: player.maxDash,
+      curDash: player.curDash,
+      overDash: player.overDash,
+      tuskRatio: player.tuskRatio,
+      decoration: player.decoration,
+      skin: player.skincode,
+      invincibleDur: player.invincibleDur,
+      parts: player.parts
+    };
+  }
+
+  static bombElement(bomb) {
+    return {
+      elementType: ELEMENT_TYPES.BOMB,
+      id: bomb.id,
+      x: bomb.x,
+      y: bomb.y,
+      vx: bomb.vx,
+      vy: bomb.vy,
+      rot: bomb.rot
+    };
+  }
+
+  static ballElement(ball) {
+    return {
+      elementType: ELEMENT_TYPES.BALL,
+      id: ball.id,
+      x: ball.x,
+      y: ball.y,
+      vx: ball.vx,
+      vy: ball.vy
+    };
+  }
+
+  static attachableElement(item) {
+    return {
+      elementType: ELEMENT_TYPES.ATTACHABLE,
+      id: item.id,
+      x: item.x,
+      y: item.y,
+      vx: item.vx,
+      vy: item.vy,
+      rot: item.rot,
+      variation: item.variation,
+      type: item.type,
+      size: item.size
+    };
+  }
+
+  static occupiableElement(zone) {
+    return {
+      elementType: ELEMENT_TYPES.OCCUPIABLE,
+      id: zone.id,
+      benefit: zone.benefit,
+      accumSide: zone.accumSide,
+      curSide: zone.curSide,
+      occupyingSide: zone.occupyingSide
+    };
+  }
+
+  static foodElement(food) {
+    return {
+      elementType: ELEMENT_TYPES.FOOD,
+      id: food.id,
+      x: food.x,
+      y: food.y,
+      value: food.value,
+      size: food.size,
+      color: food.color
+    };
+  }
+
+  static encodeLeaderBoard(players) {
+    const topPlayers = Array.from(players.values())
+      .filter(p => p.isAlive)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 10);
+
+    return this.encode(OPCODES.LEADER_BOARD, {
+      record: topPlayers.map(player => ({
+        level: Math.min(player.level, 255),
+        name: player.name.substring(0, 25)
+      })),
+      scores: topPlayers.map(player => Math.min(player.level, 255))
+    });
+  }
+}
+
+// ==================== SNAPSHOTS DELTA ====================
+// Por cliente: capturas enviadas (seq → Map id → captura) y la última que el
+// cliente confirmó con ACK. Los deltas se calculan siempre contra esa, así que
+// un snapshot perdido o descartado por el cliente no rompe los siguientes.
+class SnapshotTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.seq = 0;
+    this.history = new Map();
+    this.ackedSeq = null;
+    this.lastKeyframe = 0;
+  }
+
+  acknowledge(seq, resync) {
+    if (resync) {
+      this.ackedSeq = null;
+      return;
+    }
+    if (!this.history.has(seq)) return;
+    if (this.ackedSeq !== null && !Protocol.isNewerSeq(seq, this.ackedSeq)) return;
+
+    this.ackedSeq = seq;
+    // Lo anterior a la confirmada ya no servirá de línea base
+    for (const key of this.history.keys()) {
+      if (key === seq) break;
+      this.history.delete(key);
+    }
+  }
+
+  encode(entries, frame, options) {
+    const now = Date.now();
+    const seq = this.seq = (this.seq + 1) & 0xFFFF;
+
+    this.history.set(seq, entries);
+    // Si el cliente deja de confirmar se pierde su línea base y toca keyframe
+    while (this.history.size > CONFIG.snapshotHistory) {
+      const oldest = this.history.keys().next().value;
+      if (oldest === this.ackedSeq) this.ackedSeq = null;
+      this.history.delete(oldest);
+    }
+
+    const header = { ...frame, seq };
+    const baseline = this.ackedSeq !== null ? this.history.get(this.ackedSeq) : undefined;
+
+    if (!baseline || now - this.lastKeyframe >= CONFIG.keyframeInterval) {
+      this.lastKeyframe = now;
+      return PacketEncoder.encode(OPCODES.SET_ELEMENTS, {
+        ...header,
+        elements: Array.from(entries.values())
+      }, options);
     }
 
-    buffer.writeUInt8(topPlayers.length, offset++);
-    for (const player of topPlayers) {
-      buffer.writeUInt8(Math.min(player.level, 255), offset++);
+    const { changes, removed } = Protocol.diffSnapshot(baseline, entries);
+    return PacketEncoder.encode(OPCODES.SET_ELEMENTS_DELTA, {
+      ...header,
+      baseline: this.ackedSeq,
+      removed,
+      elements: changes
+    }, options);
+  }
+}
+
+// ==================== ESTADÍSTICAS ====================
+// Tiempos de tick y bytes enviados, globales y por sala, agregados por ventanas
+// de CONFIG.statsWindow. GetStats informa de la última ventana cerrada.
+class StatsWindow {
+  constructor() {
+    this.ticks = 0;
+    this.tickTotal = 0;
+    this.tickWorst = 0;
+    this.bytes = 0;
+  }
+
+  recordTick(ms) {
+    this.ticks++;
+    this.tickTotal += ms;
+    this.tickWorst = Math.max(this.tickWorst, ms);
+  }
+
+  summary(seconds) {
+    return {
+      tickAvg: this.ticks > 0 ? round2(this.tickTotal / this.ticks) : 0,
+      tickWorst: round2(this.tickWorst),
+      bytesPerSecond: Math.round(this.bytes / seconds)
+    };
+  }
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class ServerStats {
+  constructor() {
+    this.startedAt = Date.now();
+    this.windowStart = this.startedAt;
+    this.current = { server: new StatsWindow(), rooms: new Map() };
+    this.last = null;
+  }
+
+  room(roomId) {
+    let stats = this.current.rooms.get(roomId);
+    if (!stats) this.current.rooms.set(roomId, stats = new StatsWindow());
+    return stats;
+  }
+
+  recordSent(bytes, roomId) {
+    this.current.server.bytes += bytes;
+    if (roomId !== null && roomId !== undefined) this.room(roomId).bytes += bytes;
+  }
+
+  recordRoomTick(roomId, ms) {
+    this.room(roomId).recordTick(ms);
+  }
+
+  recordTick(ms) {
+    this.current.server.recordTick(ms);
+
+    const now = Date.now();
+    if (now - this.windowStart >= CONFIG.statsWindow) {
+      this.last = { ...this.current, seconds: (now - this.windowStart) / 1000 };
+      this.current = { server: new StatsWindow(), rooms: new Map() };
+      this.windowStart = now;
     }
+  }
+
+  // Hasta cerrar la primera ventana se informa de la que está en curso
+  snapshot(server) {
+    const closed = this.last || {
+      ...this.current,
+      seconds: Math.max(Date.now() - this.windowStart, 1) / 1000
+    };
+    const empty = new StatsWindow();
+
+    return {
+      uptime: Math.floor((Date.now() - this.startedAt) / 1000),
+      sockets: server.wss ? server.wss.clients.size : 0,
+      // Vueltas del bucle medidas en la ventana, no las configuradas
+      tickRate: round2(closed.server.ticks / closed.seconds),
+      ...closed.server.summary(closed.seconds),
+      rooms: Array.from(server.rooms.values()).map(room => ({
+        id: room.id,
+        name: room.name,
+        players: room.players.size,
+        tickRate: room.tickRate,
+        snapshotRate: room.snapshotRate,
+        entities: {
+          fish: countAlive(room.players),
+          food: room.foods.length,
+          bombs: room.bombs.length,
+          ...room.mode.entityCounts()
+        },
+        ...(closed.rooms.get(room.id) || empty).summary(closed.seconds)
+      }))
+    };
+  }
+}
+
+function countAlive(players) {
+  let count = 0;
+  for (const player of players.values()) {
+    if (player.isAlive && player.isSpawned) count++;
+  }
+  return count;
+}
+
+// ==================== GRABACIÓN DE TRÁFICO ====================
+// Una línea JSON por evento: start (versión y opciones de cada sala, necesarias
+// para decodificar), open / close por conexión y frame por trama en cualquier
+// sentido, con la sala y el jugador del socket en ese momento y los bytes en base64.
+class TrafficRecorder {
+  constructor(path) {
+    this.stream = fs.createWriteStream(path, { flags: 'a' });
+    this.connections = 0;
+    this.stream.on('error', error => {
+      console.error('Grabación de tráfico desactivada:', error.message);
+      this.stream = null;
+    });
+  }
+
+  write(event) {
+    if (this.stream) this.stream.write(JSON.stringify({ t: Date.now(), ...event }) + '\n');
+  }
+
+  start(rooms) {
+    const options = {};
+    for (const config of rooms) options[config.id] = config.options;
+    this.write({ type: 'start', version: Protocol.PROTOCOL_VERSION, rooms: options });
+  }
 
-    return buffer.slice(0, offset);
+  open(socket, request) {
+    socket.connectionId = ++this.connections;
+    this.write({ type: 'open', conn: socket.connectionId, address: request ? request.socket.remoteAddress : null });
+  }
+
+  close(socket) {
+    this.write({ type: 'close', conn: socket.connectionId });
+  }
+
+  frame(socket, direction, data) {
+    this.write({
+      type: 'frame',
+      conn: socket.connectionId,
+      dir: direction,
+      player: socket.playerId,
+      room: socket.currentRoom,
+      data: Buffer.from(data.buffer, data.byteOffset, data.length).toString('base64')
+    });
   }
 }
 
 // ==================== CONFIGURACIÓN DE SALAS ====================
+// options viaja tal cual al cliente en GetLobbies. quantize: posiciones y
+// velocidades compactas en SetElements (presupuesto en protocol.js).
+// tickRate / snapshotRate opcionales sustituyen a los de CONFIG en la sala;
+// bombs es cuántas bombas hay a la vez en el mapa. combat: 'size' recupera la
+// regla antigua de muertes por tamaño en vez del combate de colmillos. Las salas Platform
+// (fieldType 2) nombran en options.tilemap su mapa de img/, que el cliente
+// descarga y el servidor usa para las colisiones. decorations elige qué
+// decoraciones reparte la sala ('crown', 'streak', 'captain'; por defecto sólo
+// la corona). match activa el ciclo de partida (ver Match).
 const ROOMS_CONFIG = [
     {
         options: {
@@ -721,7 +2770,8 @@ const ROOMS_CONFIG = [
           isPriority: true,
           fieldType: 0,
           desirablePlayerNum: 25,
-          hasSlowFactor: false
+          hasSlowFactor: false,
+          quantize: true
         },
         name: "Large 1",
         id: 0,
@@ -736,7 +2786,8 @@ const ROOMS_CONFIG = [
           isPriority: true,
           fieldType: 0,
           desirablePlayerNum: 25,
-          hasSlowFactor: false
+          hasSlowFactor: false,
+          quantize: true
         },
         name: "Large 2",
         id: 1,
@@ -751,9 +2802,11 @@ const ROOMS_CONFIG = [
           isPriority: false,
           fieldType: 0,
           desirablePlayerNum: 9,
-          hasSlowFactor: false
+          hasSlowFactor: false,
+          quantize: true
         },
         name: "Sparse",
+        bombs: 6,
         id: 2,
         playerCount: 0
       },
@@ -766,9 +2819,11 @@ const ROOMS_CONFIG = [
           isPriority: false,
           fieldType: 0,
           desirablePlayerNum: 9,
-          hasSlowFactor: false
+          hasSlowFactor: false,
+          quantize: true
         },
         name: "Small 1",
+        match: { warmup: 15, round: 240, roundEnd: 5, intermission: 10, minPlayers: 2 },
         id: 3,
         playerCount: 0
       },
@@ -781,9 +2836,11 @@ const ROOMS_CONFIG = [
           isPriority: true,
           fieldType: 0,
           desirablePlayerNum: 6,
-          hasSlowFactor: false
+          hasSlowFactor: false,
+          quantize: true
         },
         name: "Small 2",
+        combat: "size",
         id: 4,
         playerCount: 0
       },
@@ -796,12 +2853,31 @@ const ROOMS_CONFIG = [
           isPriority: false,
           fieldType: 1,
           desirablePlayerNum: 25,
-          hasSlowFactor: true
+          hasSlowFactor: true,
+          quantize: true
         },
         name: "Narwhale Ball!",
+        snapshotRate: 30, // la pelota cambia de rumbo de golpe
         id: 5,
         playerCount: 0
       },
+      {
+        options: {
+          width: 6400,
+          height: 3840,
+          cellWidth: 1280,
+          hasIndicator: false,
+          isPriority: false,
+          fieldType: 2,
+          desirablePlayerNum: 25,
+          hasSlowFactor: false,
+          quantize: true,
+          tilemap: "tileMap.tmx"
+        },
+        name: "Narwhale Platform",
+        id: 6,
+        playerCount: 0
+      },
       {
         options: {
           width: 6400,
@@ -811,7 +2887,8 @@ const ROOMS_CONFIG = [
           isPriority: false,
           fieldType: 3,
           desirablePlayerNum: 25,
-          hasSlowFactor: true
+          hasSlowFactor: true,
+          quantize: true
         },
         name: "Narwhale Egg Hunt!",
         id: 7,
@@ -826,9 +2903,13 @@ const ROOMS_CONFIG = [
           isPriority: false,
           fieldType: 4,
           desirablePlayerNum: 25,
-          hasSlowFactor: true
+          hasSlowFactor: true,
+          quantize: true
         },
         name: "Team Deathmatch",
+        bombs: 4,
+        decorations: ["crown", "streak", "captain"],
+        match: { warmup: 20, round: 300, roundEnd: 6, intermission: 10, minPlayers: 2 },
         id: 8,
         playerCount: 0
       }
@@ -842,6 +2923,8 @@ class NarwhaleGameServer {
     this.rooms = new Map();
     this.lastTick = Date.now();
     this.validator = new InputValidator();
+    this.stats = new ServerStats();
+    this.recorder = CONFIG.recordTraffic ? new TrafficRecorder(CONFIG.recordTraffic) : null;
 
     this.initializeRooms();
     global.gameServer = this;
@@ -862,55 +2945,118 @@ class NarwhaleGameServer {
     });
 
     this.startGameLoop();
+    if (this.recorder) this.recorder.start(ROOMS_CONFIG);
 
     console.log(`🚀 Servidor iniciado en puerto ${CONFIG.port}`);
-    console.log(`🔄 Game loop iniciado a ${CONFIG.tickRate} FPS`);
+    if (this.recorder) console.log(`📼 Grabando tráfico en ${CONFIG.recordTraffic}`);
+    console.log(`🔄 Game loop iniciado a ${CONFIG.tickRate} FPS, snapshots a ${CONFIG.snapshotRate} Hz`);
   }
 
-  handleNewConnection(socket) {
-    const playerId = Date.now() + Math.floor(Math.random() * 1000);
+  handleNewConnection(socket, request) {
+    // El mismo id sirve para todas las partidas de esta conexión
+    const playerId = entityIds.allocate();
 
     socket.playerId = playerId;
     socket.currentRoom = null;
+    socket.handshakeDone = false;
+    socket.capabilities = 0;
+    socket.snapshots = new SnapshotTracker();
+
+    if (this.recorder) this.recorder.open(socket, request);
+
+    // Todo lo que sale por el socket cuenta para GetStats, en la sala en que esté
+    const send = socket.send.bind(socket);
+    socket.send = (data, ...args) => {
+      this.stats.recordSent(data.length, socket.currentRoom);
+      if (this.recorder) this.recorder.frame(socket, 'out', data);
+      return send(data, ...args);
+    };
 
     socket.on('message', (data) => {
+      if (this.recorder) this.recorder.frame(socket, 'in', data);
       this.handleMessage(socket, data);
     });
 
     socket.on('close', () => {
+      if (this.recorder) this.recorder.close(socket);
       this.handleDisconnection(socket);
+      entityIds.release(socket.playerId);
     });
   }
 
   handleMessage(socket, data) {
     if (!data || data.length === 0) return;
+    if (socket.readyState !== WebSocket.OPEN) return;
 
     const opcode = data[0];
+    if (!Protocol.hasLayout(DIRECTION.TO_SERVER, opcode)) return;
+
+    // Nada se procesa antes de que el cliente declare su versión
+    if (!socket.handshakeDone && opcode !== OPCODES.HELLO) {
+      this.rejectConnection(socket, INVALID_REASONS.HANDSHAKE_REQUIRED,
+        'Outdated client: please reload the page.');
+      return;
+    }
+
+    let message;
+    try {
+      message = Protocol.decode(DIRECTION.TO_SERVER, data);
+    } catch (error) {
+      // Sin handshake válido el cliente no sabría por qué no avanza
+      if (!socket.handshakeDone) {
+        this.rejectConnection(socket, INVALID_REASONS.MALFORMED_HELLO,
+          'Malformed handshake: please reload the page.');
+        return;
+      }
+      // Paquete truncado: se descarta en silencio, como antes del esquema
+      if (!(error instanceof RangeError)) console.error('Error decodificando mensaje:', error.message);
+      return;
+    }
 
     try {
       switch (opcode) {
+        case OPCODES.HELLO:
+          this.handleHello(socket, message);
+          break;
+
         case OPCODES.GET_LOBBIES:
           this.handleGetLobbies(socket);
           break;
 
         case OPCODES.JOIN:
-          this.handleJoin(socket, data);
+          this.handleJoin(socket, message);
           break;
 
         case OPCODES.START:
-          this.handleStart(socket, data);
+          this.handleStart(socket, message);
           break;
 
         case OPCODES.UPDATE_TARGET:
-          this.handleUpdateTarget(socket, data);
+          this.handleUpdateTarget(socket, message);
           break;
 
         case OPCODES.INPUT:
-          this.handleInput(socket, data);
+          this.handleInput(socket, message);
+          break;
+
+        case OPCODES.RETREAT:
+          this.handleRetreat(socket);
+          break;
+
+        case OPCODES.SPLIT_UP:
+          this.handleSplitUp(socket, message);
           break;
 
         case OPCODES.PING:
-          this.handlePing(socket, data);
+          this.handlePing(socket, message);
+          break;
+
+        case OPCODES.GET_STATS:
+          this.handleGetStats(socket);
+          break;
+
+        case OPCODES.ACK:
+          socket.snapshots.acknowledge(message.seq, message.resync);
           break;
 
         case OPCODES.LEAVE:
@@ -922,6 +3068,39 @@ class NarwhaleGameServer {
     }
   }
 
+  // ==================== HANDSHAKE ====================
+  handleHello(socket, message) {
+    if (message.version !== Protocol.PROTOCOL_VERSION) {
+      this.rejectConnection(socket, INVALID_REASONS.VERSION_MISMATCH,
+        `Protocol version ${message.version} is not supported (server speaks ${Protocol.PROTOCOL_VERSION}). Please reload the page.`);
+      return;
+    }
+
+    const missing = CONFIG.requiredCapabilities & ~message.capabilities;
+    if (missing) {
+      const names = Object.keys(CAPABILITIES).filter(key => missing & CAPABILITIES[key]);
+      this.rejectConnection(socket, INVALID_REASONS.MISSING_CAPABILITIES,
+        `Client is missing required features: ${names.join(', ')}. Please reload the page.`);
+      return;
+    }
+
+    socket.handshakeDone = true;
+    socket.capabilities = message.capabilities & CONFIG.serverCapabilities;
+    socket.send(PacketEncoder.encode(OPCODES.HELLO, {
+      version: Protocol.PROTOCOL_VERSION,
+      capabilities: socket.capabilities
+    }));
+  }
+
+  rejectConnection(socket, code, reason) {
+    console.warn(`⛔ Conexión ${socket.playerId} rechazada: ${reason}`);
+
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(PacketEncoder.encode(OPCODES.INVALID, { code, reason }));
+      socket.close(1008, 'INVALID');
+    }
+  }
+
   handleGetLobbies(socket) {
     const roomsData = ROOMS_CONFIG.map(config => {
       const room = this.rooms.get(config.id);
@@ -931,123 +3110,112 @@ class NarwhaleGameServer {
       };
     });
 
-    const jsonData = JSON.stringify(roomsData);
-    const response = Buffer.concat([
-      Buffer.from([OPCODES.GET_LOBBIES]),
-      Buffer.from(jsonData, 'utf8'),
-      Buffer.from([0x00])
-    ]);
-
-    socket.send(response);
+    socket.send(PacketEncoder.encode(OPCODES.GET_LOBBIES, { data: roomsData }));
   }
 
-  handleJoin(socket, data) {
-    if (data.length < 5) return;
-
-    const roomId = data.readUInt32LE(1);
+  handleJoin(socket, message) {
+    const roomId = message.lobbyID;
     const room = this.rooms.get(roomId);
 
     if (room) {
       socket.currentRoom = roomId;
-
-      const response = Buffer.alloc(5);
-      response.writeUInt8(OPCODES.JOIN, 0);
-      response.writeUInt32LE(roomId, 1);
-      socket.send(response);
+      // Las capturas dependen de las opciones de la sala
+      socket.snapshots.reset();
+      socket.send(PacketEncoder.encode(OPCODES.JOIN, { lobbyID: roomId }));
     }
   }
 
-handleStart(socket, data) {
-  if (data.length < 9) return;
+  handleStart(socket, message) {
+    const name = message.name.substring(0, 16) || 'Player';
 
-  let offset = 1;
-  const skin = data.readUInt8(offset++);
-  const color = data.readUInt32LE(offset); offset += 4;
+    const id = socket.playerId;
+    const player = new Player(id, socket, name);
+    player.skincode = message.skincode;
+    player.color = message.colorcode;
+    this.players.set(id, player);
 
-  let name = 'Player';
-  if (data.length > 9) {
-    const slice = data.slice(9);
-    const end = slice.indexOf(0);
-    name = end !== -1 ? slice.slice(0, end).toString('utf8') : slice.toString('utf8');
-  }
-  name = name.substring(0, 16) || 'Player';
+    if (socket.currentRoom !== null) {
+      const room = this.rooms.get(socket.currentRoom);
+      if (room) room.addPlayer(player);
+    }
 
-  const id = socket.playerId;
-  const player = new Player(id, socket, name);
-  player.skincode = skin;
-  player.color = color;
-  this.players.set(id, player);
+    socket.send(PacketEncoder.encode(OPCODES.START, { uid: id }));
 
-  if (socket.currentRoom !== null) {
-    const room = this.rooms.get(socket.currentRoom);
-    if (room) room.addPlayer(player);
+    setTimeout(() => {
+      if (socket.currentRoom !== null) {
+        const room = this.rooms.get(socket.currentRoom);
+        // El jugador puede haberse ido entre tanto
+        if (room && room.players.has(id)) socket.send(this.encodeSnapshot(socket, room));
+      }
+    }, 100);
   }
 
-  // EXACT PACKET YOUR app.js EXPECTS
-  const nameBuf = Buffer.from(name, 'utf8');
-  const p = Buffer.alloc(19 + nameBuf.length);
-  let i = 0;
-  p[i++] = 18;
-  p.writeUInt16LE(id & 0xFFFF, i); i += 2;
-  p.writeUInt32LE(color, i); i += 4;
-  p[i++] = skin;
-  p[i++] = 0; p[i++] = 0; p[i++] = 0;  // THE 3 ZERO BYTES
-  p[i++] = nameBuf.length;
-  nameBuf.copy(p, i); i += nameBuf.length;
-  p[i++] = 0;
-  p[i++] = 1;
+  handleUpdateTarget(socket, message) {
+    // Validar rate limiting
+    if (!this.validator.validateInputRate(socket.playerId)) {
+      return; // Ignorar si excede rate limit
+    }
 
-  socket.send(p);
+    const player = this.players.get(socket.playerId);
+    if (player) {
+      player.setTarget(message.x, message.y, message.seq, this.validator);
+    }
+  }
 
-  setTimeout(() => {
-    if (socket.currentRoom !== null) {
-      const room = this.rooms.get(socket.currentRoom);
-      if (room) socket.send(PacketEncoder.encodeSetElements(room));
+  handleInput(socket, message) {
+    // Validar rate limiting
+    if (!this.validator.validateInputRate(socket.playerId)) {
+      return;
     }
-  }, 100);
-}
 
-  handleUpdateTarget(socket, data) {
-    if (data.length >= 9) {
-      // Validar rate limiting
-      if (!this.validator.validateInputRate(socket.playerId)) {
-        return; // Ignorar si excede rate limit
-      }
+    const control = message.control;
+    const player = this.players.get(socket.playerId);
 
-      const x = data.readFloatLE(1);
-      const y = data.readFloatLE(5);
+    if (!player) return;
 
-      const player = this.players.get(socket.playerId);
-      if (player) {
-        player.setTarget(x, y, this.validator);
-      }
+    // Dash y retirada salen al pulsar, no mientras el bit siga puesto
+    const pressed = control & ~player.inputFlags;
+    player.inputFlags = control;
+    if (pressed & CONTROLS.DASH) {
+      player.useDash(this.validator);
+    }
+    if (pressed & CONTROLS.RETREAT) {
+      this.retreat(player);
     }
   }
 
-  handleInput(socket, data) {
-    if (data.length >= 2) {
-      // Validar rate limiting
-      if (!this.validator.validateInputRate(socket.playerId)) {
-        return;
-      }
+  // El paquete Retreat trae un objetivo como UpdateTarget, pero la retirada
+  // siempre es hacia atrás: sólo cuenta como pulsación
+  handleRetreat(socket) {
+    if (!this.validator.validateInputRate(socket.playerId)) {
+      return;
+    }
 
-      const control = data.readUInt8(1);
-      const player = this.players.get(socket.playerId);
+    const player = this.players.get(socket.playerId);
+    if (player) this.retreat(player);
+  }
 
-      if (player && (control & 0x10)) {
-        player.useDash(this.validator);
-      }
+  handleSplitUp(socket, message) {
+    if (!this.validator.validateInputRate(socket.playerId)) {
+      return;
     }
+
+    const player = this.players.get(socket.playerId);
+    if (player && player.isAlive) player.useSplitUp(message.x, message.y, this.validator);
   }
 
-  handlePing(socket, data) {
-    if (data.length >= 5) {
-      const timestamp = data.readFloatLE(1);
-      const response = Buffer.alloc(5);
-      response.writeUInt8(OPCODES.PING, 0);
-      response.writeFloatLE(timestamp, 1);
-      socket.send(response);
-    }
+  retreat(player) {
+    const room = this.rooms.get(player.currentRoom);
+    if (room && player.isAlive) player.useRetreat(this.validator, room);
+  }
+
+  handlePing(socket, message) {
+    socket.send(PacketEncoder.encode(OPCODES.PING, { now: message.now }));
+  }
+
+  // Abierto a cualquier cliente: no expone nada que no se vea ya en las salas
+  handleGetStats(socket) {
+    socket.send(PacketEncoder.encode(OPCODES.GET_STATS, { stats: this.stats.snapshot(this) }));
   }
 
   handleLeave(socket) {
@@ -1066,38 +3234,60 @@ handleStart(socket, data) {
   }
 
   // ==================== GAME LOOP ====================
+  // Una vuelta al ritmo de la sala más rápida; cada sala simula sus propios
+  // pasos fijos y solo envía snapshots a su snapshotRate
   startGameLoop() {
-    const targetFrameTime = 1000 / CONFIG.tickRate;
+    const loopRate = Math.max(...Array.from(this.rooms.values(), room => room.tickRate));
+    const targetFrameTime = 1000 / loopRate;
 
     setInterval(() => {
       const now = Date.now();
-      const dt = (now - this.lastTick) / 1000;
+      const elapsed = (now - this.lastTick) / 1000;
       this.lastTick = now;
+      const tickStart = performance.now();
 
-      // Actualizar todas las salas (física autoritativa)
+      // Actualizar cada sala (física autoritativa) y enviarle sus snapshots
       for (const room of this.rooms.values()) {
-        room.update(dt);
+        const roomStart = performance.now();
+        room.advance(elapsed);
+        if (room.snapshotDue()) this.sendRoomUpdates(room);
+        this.stats.recordRoomTick(room.id, performance.now() - roomStart);
       }
 
-      // Enviar updates a los clientes
-      this.sendUpdates();
+      this.sendLeaderBoards();
+      this.stats.recordTick(performance.now() - tickStart);
 
     }, targetFrameTime);
   }
 
-  sendUpdates() {
-    for (const room of this.rooms.values()) {
-      if (room.players.size > 0) {
-        const gameStateBuffer = PacketEncoder.encodeSetElements(room);
+  // Delta frente a lo último confirmado si el cliente anunció DELTA; si no, el
+  // SetElements completo. Cada cliente recibe solo su área de interés; cache
+  // comparte las capturas de elementos entre clientes de un tick.
+  encodeSnapshot(socket, room, cache = new Map()) {
+    const capabilities = socket.capabilities;
+    const viewer = this.players.get(socket.playerId);
 
-        for (const player of room.players.values()) {
-          if (player.socket.readyState === WebSocket.OPEN) {
-            player.socket.send(gameStateBuffer);
-          }
+    if (!(capabilities & CAPABILITIES.DELTA)) {
+      return PacketEncoder.encodeSetElements(room, capabilities, viewer);
+    }
+
+    const entries = PacketEncoder.captureElements(room, capabilities, viewer, cache);
+    return socket.snapshots.encode(entries, room.snapshotHeader(viewer), room.config.options);
+  }
+
+  sendRoomUpdates(room) {
+    if (room.players.size > 0) {
+      const cache = new Map();
+
+      for (const player of room.players.values()) {
+        if (player.socket.readyState === WebSocket.OPEN) {
+          player.socket.send(this.encodeSnapshot(player.socket, room, cache));
         }
       }
     }
+  }
 
+  sendLeaderBoards() {
     // Enviar leaderboard cada 5 segundos
     if (Date.now() % 5000 < 20) {
       for (const room of this.rooms.values()) {
@@ -1115,10 +3305,12 @@ handleStart(socket, data) {
 }
 
 // ==================== INICIAR SERVIDOR ====================
-const server = new NarwhaleGameServer();
-server.start();
+// Sólo al ejecutarlo directamente: las pruebas importan las clases sin abrir el puerto
+if (require.main === module) {
+  const server = new NarwhaleGameServer();
+  server.start();
 
-console.log(`
+  console.log(`
 ╔════════════════════════════════════════════════════════════════╗
 ║                                                                ║
 ║                                                                ║
@@ -1130,4 +3322,24 @@ console.log(`
 ║ Física: Servidor Autoritativo                                 ║║
 ║ 🎮 Servidor listo para recibir conexiones                      ║ ║
 ╚════════════════════════════════════════════════════════════════╝
-`);
+  `);
+}
+
+module.exports = {
+  CONFIG,
+  InputValidator,
+  IdAllocator,
+  entityIds,
+  Player,
+  GameRoom,
+  GameMode,
+  TeamMode,
+  SoccerMode,
+  EggHuntMode,
+  TeamDeathmatchMode,
+  ZONE_BENEFITS,
+  PlatformMode,
+  Match,
+  PacketEncoder,
+  NarwhaleGameServer
+};